@@ -1,8 +1,1173 @@
 'use strict';
 
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const util = require('util');
+const YAML = require('yaml');
 const Fx = require('fixture-interface');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocument} = require('@aws-sdk/lib-dynamodb');
+const {
+  DynamoDBClient,
+  CreateTableCommand,
+  DeleteTableCommand,
+  DescribeTableCommand,
+  ListTablesCommand,
+  ScanCommand,
+  UpdateTimeToLiveCommand
+} = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocument, NumberValue } = require('@aws-sdk/lib-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+/**
+ * The HASH and (optional) RANGE attribute names of a table
+ * @typedef {Object} KeyNames
+ * @property {string} hashKey - Name of the partition (HASH) key attribute
+ * @property {string} [rangeKey] - Name of the sort (RANGE) key attribute, if the table has one
+ */
+
+/**
+ * Options for a DynamoDB fixture
+ * @typedef {Object} DynamoFxOptions
+ * @property {KeyNames|Array<{AttributeName: string, KeyType: string}>} [keySchema] - The table's key attributes,
+ *   either as key names or in DynamoDB `KeySchema` form. When omitted it is discovered with `loadKeySchema()` the
+ *   first time a key is needed.
+ * @property {TableDefinition} [tableDefinition] - Definition used by `createTable()`/`ensureTable()` when none is passed
+ * @property {boolean|IsolationOptions} [isolate] - Operate on a uniquely named copy of the table (see `IsolationOptions`)
+ * @property {'item'|'batch'} [cleanupMode='item'] - How `cleanup()` removes tracked items: one DeleteItem per item,
+ *   or BatchWriteItem delete requests (see `batchCleanup()`)
+ * @property {boolean|TtlOptions} [ttl] - Stamp an expiry time on every inserted item, so items left behind by a
+ *   crashed test run expire (see `TtlOptions`)
+ * @property {boolean|MarkerOptions} [marker] - Tag every inserted item with the test run that wrote it, so a later
+ *   run can sweep it up with `cleanupRun()`/`cleanupOlderThan()` (see `MarkerOptions`)
+ * @property {SafetyOptions} [safety] - Where the fixture may write and delete, only local endpoints by default
+ * @property {'overwrite'|'failIfExists'|'skipIfExists'} [insertMode='overwrite'] - What `insert()` and `provision()`
+ *   do when an item with the same key exists: replace it, throw an error naming the key, or keep the existing item
+ * @property {Object} [marshallOptions] - How the document client converts items to DynamoDB records, e.g.
+ *   `{ removeUndefinedValues: true, convertClassInstanceToMap: true }`
+ * @property {Object} [unmarshallOptions] - How the document client converts DynamoDB records to items, e.g.
+ *   `{ wrapNumbers: true }`
+ */
+
+/**
+ * Isolation of a fixture's table for parallel test runs.  An isolated fixture operates on the physical table
+ * `<prefix><tableName>-<runId>`, with `-w<id>` appended inside a mocha parallel worker.
+ * @typedef {Object} IsolationOptions
+ * @property {string} [runId] - Identifies the test run, defaults to an id generated once per process
+ * @property {string} [prefix=''] - Prepended to the physical table name
+ */
+
+/**
+ * Expiry time stamped on inserted items.  DynamoDB deletes expired items once TTL is enabled on the table
+ * attribute (see `enableTtl()`).
+ * @typedef {Object} TtlOptions
+ * @property {string} [attribute='expiresAt'] - Attribute holding the expiry time in epoch seconds
+ * @property {number} [minutes=60] - Minutes from insertion until the item expires
+ */
+
+/**
+ * Marker attribute tagging inserted items with the test run that wrote them.  The attribute holds a map of
+ * `runId`, `suite` (if given) and `createdAt` (epoch milliseconds).
+ * @typedef {Object} MarkerOptions
+ * @property {string} [attribute='fixtureRun'] - Name of the marker attribute
+ * @property {string} [runId] - Identifies the test run, defaults to an id generated once per process
+ * @property {string} [suite] - Name of the test suite
+ */
+
+/**
+ * Targets a fixture may write to and delete from.  Every write and delete is checked first, so a misconfigured
+ * connection cannot touch a production table.  Local endpoints are always allowed; any other target must match
+ * every configured one of `endpoints`, `regions` and `accounts`.  Without any of them only local endpoints are
+ * allowed.  `tables` restricts the table name on every endpoint.
+ * @typedef {Object} SafetyOptions
+ * @property {RegExp|string|Array<RegExp|string>} [endpoints] - Host names (exact strings or patterns) of non-local
+ *   endpoints that may be written to
+ * @property {RegExp|string|Array<RegExp|string>} [regions] - Regions that may be written to
+ * @property {RegExp|string|Array<RegExp|string>} [accounts] - AWS account ids that may be written to.  The account
+ *   is taken from the resolved credentials, which must include an `accountId`.
+ * @property {RegExp|string|Array<RegExp|string>} [tables] - Table names that may be written to
+ * @property {boolean} [unsafe=false] - Skip all checks
+ */
+
+/**
+ * Definition of a secondary index
+ * @typedef {Object} IndexDefinition
+ * @property {string} name - Name of the index
+ * @property {KeyNames|Array<{AttributeName: string, KeyType: string}>} keySchema - The index's key attributes
+ * @property {'ALL'|'KEYS_ONLY'|Array<string>} [projection='ALL'] - Projected attributes; a list projects those
+ *   non-key attributes
+ */
+
+/**
+ * Definition of a table to create
+ * @typedef {Object} TableDefinition
+ * @property {KeyNames|Array<{AttributeName: string, KeyType: string}>} [keySchema] - The table's key attributes,
+ *   defaults to the fixture's key schema
+ * @property {Object<string, 'S'|'N'|'B'>} [attributeTypes] - Types of the key attributes of the table and its
+ *   indexes.  Attributes without a type are strings (`S`).
+ * @property {Array<IndexDefinition>} [globalSecondaryIndexes] - Global secondary indexes
+ * @property {Array<IndexDefinition>} [localSecondaryIndexes] - Local secondary indexes
+ */
+
+/**
+ * Options for polling a table's status or an item
+ * @typedef {Object} PollOptions
+ * @property {number} [timeout] - How long to wait in milliseconds before giving up, by default 30000 for tables and
+ *   1500 for items, so an item wait fails before mocha's default 2000ms test timeout
+ * @property {number} [interval] - Delay in milliseconds between checks, by default 500 for tables and 100 for items
+ */
+
+/**
+ * Options for starting DynamoDB Local
+ * @typedef {Object} LocalOptions
+ * @property {number} [port] - Port to listen on, a free port is picked when omitted
+ * @property {string} [dbPath] - Directory to keep the database files in, relative to the working directory. When
+ *   omitted the data lives in memory and is gone once DynamoDB Local stops.
+ * @property {Array<string>} [args] - Additional DynamoDB Local arguments, e.g. `['-sharedDb']`
+ * @property {string} [region='us-east-1'] - Region of the returned connection config
+ * @property {number} [timeout=30000] - How long to wait in milliseconds for DynamoDB Local to answer requests
+ * @property {number} [interval=200] - Delay in milliseconds between readiness checks
+ */
+
+/**
+ * A running DynamoDB Local started by `DynamoFx.startLocal()`
+ * @typedef {Object} LocalDynamoDB
+ * @property {Object} connConfig - Connection config to pass to `new DynamoFx()` or a `DynamoDBClient`
+ * @property {string} endpoint - The endpoint DynamoDB Local listens on
+ * @property {number} port - The port DynamoDB Local listens on
+ * @property {function(): Promise<void>} stop - Stops DynamoDB Local
+ */
+
+/**
+ * Normalizes a key schema into key names
+ * @param {KeyNames|Array<{AttributeName: string, KeyType: string}>} keySchema - key names or a DynamoDB `KeySchema`
+ * @returns {KeyNames} the key names
+ */
+function toKeyNames(keySchema) {
+  if (Array.isArray(keySchema)) {
+    const hash = keySchema.find(k => k.KeyType === 'HASH');
+    const range = keySchema.find(k => k.KeyType === 'RANGE');
+    keySchema = { hashKey: hash?.AttributeName, rangeKey: range?.AttributeName };
+  }
+
+  if (!keySchema?.hashKey) {
+    throw new Error('A key schema must define a HASH key attribute');
+  }
+
+  const keyNames = { hashKey: keySchema.hashKey };
+  if (keySchema.rangeKey) {
+    keyNames.rangeKey = keySchema.rangeKey;
+  }
+  return keyNames;
+}
+
+/**
+ * Converts key names into a DynamoDB `KeySchema`
+ * @param {KeyNames} keyNames - the key names
+ * @returns {Array<{AttributeName: string, KeyType: string}>} the key schema
+ */
+function toKeySchema(keyNames) {
+  const keySchema = [{ AttributeName: keyNames.hashKey, KeyType: 'HASH' }];
+  if (keyNames.rangeKey) {
+    keySchema.push({ AttributeName: keyNames.rangeKey, KeyType: 'RANGE' });
+  }
+  return keySchema;
+}
+
+/**
+ * Converts an index definition into the CreateTable form of a secondary index
+ * @param {IndexDefinition} index - the index definition
+ * @param {Set<string>} keyAttributes - collects the key attributes the index uses
+ * @returns {Object} the secondary index
+ */
+function toSecondaryIndex(index, keyAttributes) {
+  const keyNames = toKeyNames(index.keySchema);
+  keyAttributes.add(keyNames.hashKey);
+  if (keyNames.rangeKey) {
+    keyAttributes.add(keyNames.rangeKey);
+  }
+
+  const projection = index.projection || 'ALL';
+  return {
+    IndexName: index.name,
+    KeySchema: toKeySchema(keyNames),
+    Projection: Array.isArray(projection)
+      ? { ProjectionType: 'INCLUDE', NonKeyAttributes: projection }
+      : { ProjectionType: projection }
+  };
+}
+
+/**
+ * Builds the CreateTable input for a table definition
+ * @param {string} tableName - name of the table to create
+ * @param {KeyNames} keyNames - the table's key names
+ * @param {TableDefinition} definition - the table definition
+ * @returns {Object} the CreateTable input
+ */
+function toCreateTableInput(tableName, keyNames, definition) {
+  const keyAttributes = new Set(Object.values(keyNames));
+  const input = {
+    TableName: tableName,
+    KeySchema: toKeySchema(keyNames),
+    BillingMode: 'PAY_PER_REQUEST'
+  };
+
+  if (definition.globalSecondaryIndexes?.length) {
+    input.GlobalSecondaryIndexes = definition.globalSecondaryIndexes.map(index => toSecondaryIndex(index, keyAttributes));
+  }
+  if (definition.localSecondaryIndexes?.length) {
+    input.LocalSecondaryIndexes = definition.localSecondaryIndexes.map(index => toSecondaryIndex(index, keyAttributes));
+  }
+
+  input.AttributeDefinitions = [...keyAttributes].map(name => ({
+    AttributeName: name,
+    AttributeType: definition.attributeTypes?.[name] || 'S'
+  }));
+  return input;
+}
+
+/**
+ * Options for reading items by key
+ * @typedef {Object} ReadOptions
+ * @property {boolean} [consistentRead=false] - Use a strongly consistent read
+ * @property {Array<string>} [projection] - Attribute paths to read, e.g. `['name', 'profile.email']`; all attributes
+ *   by default
+ */
+
+/**
+ * Options for reading all pages of a query
+ * @typedef {Object} QueryOptions
+ * @property {any} [sortKeyCondition] - Condition on the sort key: a value, or one of `eq`, `lt`, `lte`, `gt`, `gte`,
+ *   `between` and `beginsWith` (e.g. `{ beginsWith: 'order#' }`)
+ * @property {string} [indexName] - Query a secondary index instead of the table
+ * @property {Object<string, any>} [filter] - Conditions on other attributes, keyed by attribute name
+ * @property {boolean} [consistentRead] - Use consistent reads, by default for the table and local indexes only
+ */
+
+/**
+ * Options for reading all pages of a scan
+ * @typedef {Object} ScanOptions
+ * @property {Object<string, any>} [filter] - Conditions keyed by attribute name
+ * @property {string} [indexName] - Scan a secondary index instead of the table
+ * @property {boolean} [consistentRead] - Use consistent reads, by default when scanning the table
+ */
+
+/**
+ * Options for exporting a table
+ * @typedef {Object} ExportOptions
+ * @property {string} [keyPrefix] - Only export items whose partition key starts with this prefix
+ * @property {{expression: string, names?: Object<string, string>, values?: Object<string, any>}} [filter] - A scan
+ *   filter expression with its attribute name and value placeholders
+ */
+
+/**
+ * Retry behaviour for batch requests
+ * @typedef {Object} BatchOptions
+ * @property {number} [maxRetries=5] - How many times unprocessed requests are retried before giving up
+ * @property {number} [retryDelay=50] - Delay in milliseconds before the first retry, doubled for each further retry
+ */
+
+/**
+ * Options for purging a table
+ * @typedef {Object} PurgeOptions
+ * @property {number} [segments=1] - Number of parallel scan segments, a positive integer
+ * @property {RegExp|string|Array<RegExp|string>} [allowTables] - Table names (exact strings or patterns) that may be
+ *   purged on a non-local endpoint
+ * @property {number} [maxRetries=5] - How many times unprocessed deletes are retried before giving up
+ * @property {number} [retryDelay=50] - Delay in milliseconds before the first retry, doubled for each further retry
+ */
+
+/** Run id shared by all isolated fixtures of this process that do not specify one */
+const RUN_ID = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/** Default name of the attribute that tags items with the test run that wrote them */
+const MARKER_ATTRIBUTE = 'fixtureRun';
+
+/** Multipliers of the units accepted in durations, e.g. `'30m'` */
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Converts a duration to milliseconds
+ * @param {number|string} duration - milliseconds, or a number with a unit (`ms`, `s`, `m`, `h` or `d`), e.g. `'2h'`
+ * @returns {number} the duration in milliseconds
+ */
+function toMilliseconds(duration) {
+  if (typeof duration === 'number') {
+    return duration;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${duration}", expected milliseconds or a number with a unit like "30m", "2h" or "1d"`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/** Isolated fixtures whose tables were created and not dropped yet */
+const isolatedFixtures = new Set();
+
+/**
+ * Derives the physical name of an isolated table
+ * @param {string} tableName - the logical table name
+ * @param {IsolationOptions} isolation - the isolation options
+ * @returns {string} the physical table name
+ */
+function isolatedTableName(tableName, { runId = RUN_ID, prefix = '' }) {
+  const workerId = process.env.MOCHA_WORKER_ID;
+  return `${prefix}${tableName}-${runId}${workerId === undefined ? '' : `-w${workerId}`}`;
+}
+
+/**
+ * Converts a DynamoDB table description into a table definition
+ * @param {Object} table - the `Table` of a DescribeTable response
+ * @returns {TableDefinition} the table definition
+ */
+function toTableDefinition(table) {
+  const toIndexDefinition = (index) => ({
+    name: index.IndexName,
+    keySchema: index.KeySchema,
+    projection: index.Projection?.ProjectionType === 'INCLUDE'
+      ? index.Projection.NonKeyAttributes
+      : index.Projection?.ProjectionType
+  });
+
+  return {
+    keySchema: table.KeySchema,
+    attributeTypes: Object.fromEntries((table.AttributeDefinitions || []).map(a => [a.AttributeName, a.AttributeType])),
+    globalSecondaryIndexes: (table.GlobalSecondaryIndexes || []).map(toIndexDefinition),
+    localSecondaryIndexes: (table.LocalSecondaryIndexes || []).map(toIndexDefinition)
+  };
+}
+
+/** Maximum number of requests DynamoDB accepts in one BatchWriteItem call */
+const BATCH_WRITE_LIMIT = 25;
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Finds a port no other process is listening on
+ * @returns {Promise<number>} the free port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Loads the optional `dynamodb-local` package, which downloads and runs DynamoDB Local
+ * @returns {Object} the dynamodb-local module
+ */
+function loadDynamoDBLocal() {
+  try {
+    return require('dynamodb-local');
+  } catch (error) {
+    throw new Error('Starting DynamoDB Local requires the dynamodb-local package, install it with `npm install --save-dev dynamodb-local`', { cause: error });
+  }
+}
+
+/**
+ * Splits a list into chunks of at most `size` entries
+ * @param {Array} list - the list to split
+ * @param {number} size - maximum chunk size
+ * @returns {Array<Array>} the chunks
+ */
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Builds a comparable identity for a key object, independent of the order of its attributes
+ * @param {any} key - a key object
+ * @returns {string} the key identity
+ */
+function keyId(key) {
+  if (key && typeof key === 'object') {
+    return JSON.stringify(Object.keys(key).sort().map(name => [name, key[name]]));
+  }
+  return JSON.stringify(key);
+}
+
+/**
+ * Sends up to 25 write requests for one table with BatchWriteItem, retrying `UnprocessedItems` with exponential backoff
+ * @param {DynamoDBDocument} db - document client
+ * @param {string} tableName - table the requests are for
+ * @param {Array<Object>} requests - `PutRequest`/`DeleteRequest` entries
+ * @param {BatchOptions} [options] - retry behaviour
+ * @returns {Promise<Array<Object>>} the requests still unprocessed once the retries are exhausted
+ */
+async function batchWrite(db, tableName, requests, { maxRetries = 5, retryDelay = 50 } = {}) {
+  let pending = requests;
+  for (let attempt = 0; pending.length && attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelay * 2 ** (attempt - 1));
+    }
+    const { UnprocessedItems } = await db.batchWrite({ RequestItems: { [tableName]: pending } });
+    pending = UnprocessedItems?.[tableName] || [];
+  }
+  return pending;
+}
+
+/**
+ * Sends write requests for one table in batches of 25, retrying unprocessed requests
+ * @param {DynamoDBDocument} db - document client
+ * @param {string} tableName - table the requests are for
+ * @param {Array<Object>} requests - `PutRequest`/`DeleteRequest` entries
+ * @param {BatchOptions} [options] - retry behaviour
+ * @returns {Promise<Array<Object>>} the requests still unprocessed once the retries are exhausted
+ */
+async function batchWriteAll(db, tableName, requests, options) {
+  const unprocessed = [];
+  for (const batch of chunk(requests, BATCH_WRITE_LIMIT)) {
+    unprocessed.push(...await batchWrite(db, tableName, batch, options));
+  }
+  return unprocessed;
+}
+
+/** Maximum number of keys DynamoDB accepts in one BatchGetItem call */
+const BATCH_GET_LIMIT = 100;
+
+/**
+ * Reads up to 100 keys of one table with BatchGetItem, retrying `UnprocessedKeys` with exponential backoff
+ * @param {DynamoDBDocument} db - document client
+ * @param {string} tableName - table to read from
+ * @param {Object} request - the table's `KeysAndAttributes`, including the `Keys`
+ * @param {BatchOptions} [options] - retry behaviour
+ * @returns {Promise<{items: Array<Object>, unprocessed: Array<Object>}>} the items read, in no particular order, and
+ *   the keys still unprocessed once the retries are exhausted
+ */
+async function batchGet(db, tableName, request, { maxRetries = 5, retryDelay = 50 } = {}) {
+  const items = [];
+  let pending = request.Keys;
+  for (let attempt = 0; pending.length && attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelay * 2 ** (attempt - 1));
+    }
+    const { Responses, UnprocessedKeys } = await db.batchGet({ RequestItems: { [tableName]: { ...request, Keys: pending } } });
+    items.push(...(Responses?.[tableName] || []));
+    pending = UnprocessedKeys?.[tableName]?.Keys || [];
+  }
+  return { items, unprocessed: pending };
+}
+
+/** What `insert()` can do when an item with the same key exists */
+const INSERT_MODES = ['overwrite', 'failIfExists', 'skipIfExists'];
+
+/** Maximum number of items DynamoDB accepts in one TransactWriteItems call */
+const TRANSACT_WRITE_LIMIT = 100;
+
+/**
+ * Puts the items of one or more fixtures in a single TransactWriteItems call, and tracks them for cleanup once
+ * the transaction commits
+ * @param {Array<{fixture: DynamoFx, item: Object}>} entries - the items and the fixtures of their tables
+ * @returns {Promise<void>} Promise that resolves when the transaction has committed
+ * @throws {Error} listing the cancellation reason of each failed item when the transaction is cancelled
+ */
+async function transactPut(entries) {
+  if (entries.length > TRANSACT_WRITE_LIMIT) {
+    throw new Error(`Cannot write ${entries.length} items in one transaction, the limit is ${TRANSACT_WRITE_LIMIT}`);
+  }
+  if (!entries.length) {
+    return;
+  }
+
+  const fixtures = [...new Set(entries.map(({ fixture }) => fixture))];
+  await Promise.all(fixtures.map(fixture => fixture.assertWritable()));
+  await assertSameTarget(fixtures);
+  await Promise.all(fixtures.map(fixture => fixture.loadKeySchema()));
+  // outside the overwrite mode an existing key cancels the transaction, so nothing is replaced
+  await Promise.all(fixtures
+    .filter(fixture => fixture.insertMode === 'overwrite')
+    .map(fixture => fixture.capturePreviousItems(entries.filter(entry => entry.fixture === fixture).map(({ item }) => item))));
+  const puts = await Promise.all(entries.map(({ fixture, item }) => fixture.putInput(item)));
+  try {
+    await fixtures[0].db.transactWrite({ TransactItems: puts.map(Put => ({ Put })) });
+  } catch (error) {
+    throw error.name === 'TransactionCanceledException' ? transactionError(entries, error) : error;
+  }
+  entries.forEach(({ fixture, item }) => fixture.addData(item));
+}
+
+/**
+ * Checks that the fixtures of a transaction write to the same endpoint and region.  The transaction is sent
+ * through the client of the first fixture, which would otherwise write the items of the others somewhere else.
+ * @param {Array<DynamoFx>} fixtures - the fixtures of the transaction
+ * @returns {Promise<void>} Promise that resolves if all fixtures share a target
+ * @throws {Error} naming the fixtures that differ and their targets
+ */
+async function assertSameTarget(fixtures) {
+  if (fixtures.every(fixture => fixture.db === fixtures[0].db)) {
+    return;
+  }
+  const targets = await Promise.all(fixtures.map(async fixture => {
+    const endpoint = endpointUrl(await resolveConfig(fixture.endpoint));
+    const region = await resolveConfig(fixture.client.config?.region);
+    return region ? `${endpoint} in region ${region}` : endpoint;
+  }));
+  const index = targets.findIndex(target => target !== targets[0]);
+  if (index !== -1) {
+    throw new Error(`Cannot write to tables ${fixtures[0].tableName} and ${fixtures[index].tableName} in one transaction: ` +
+      `${fixtures[0].tableName} is on ${targets[0]}, ${fixtures[index].tableName} is on ${targets[index]}`);
+  }
+}
+
+/**
+ * Describes a cancelled transaction with the reason each item failed for
+ * @param {Array<{fixture: DynamoFx, item: Object}>} entries - the items of the transaction
+ * @param {Error} error - the `TransactionCanceledException`
+ * @returns {Error} an error with a `reasons` list of `{tableName, key, code, message}` for the failed items
+ */
+function transactionError(entries, error) {
+  const reasons = (error.CancellationReasons || [])
+    .map((reason, index) => ({ entry: entries[index], code: reason.Code, message: reason.Message }))
+    .filter(({ entry, code }) => entry && code && code !== 'None')
+    .map(({ entry, code, message }) => ({ tableName: entry.fixture.tableName, key: entry.fixture.getKey(entry.item), code, message }));
+
+  const lines = reasons.map(({ tableName, key, code, message }) => `  ${tableName} ${inspect(key)}: ${code}${message ? ` (${message})` : ''}`);
+  const cancelled = new Error(
+    `Transaction writing ${entries.length} items was cancelled${lines.length ? `:\n${lines.join('\n')}` : `: ${error.message}`}`,
+    { cause: error }
+  );
+  cancelled.reasons = reasons;
+  return cancelled;
+}
+
+/**
+ * Scans or queries a table (or index) following `LastEvaluatedKey` through every page
+ * @param {DynamoDBDocument} db - document client
+ * @param {'scan'|'query'} operation - the read operation
+ * @param {Object} input - Scan or Query input
+ * @param {function(Array<Object>, Object): (void|Promise<void>)} onPage - called with the items and the response
+ *   of each page
+ * @returns {Promise<void>} Promise that resolves after the last page
+ */
+async function readPages(db, operation, input, onPage) {
+  let ExclusiveStartKey;
+  do {
+    const page = await db[operation]({ ...input, ExclusiveStartKey });
+    await onPage(page.Items || [], page);
+    ExclusiveStartKey = page.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+}
+
+/**
+ * Scans or queries a table (or index) following `LastEvaluatedKey` through every page
+ * @param {DynamoDBDocument} db - document client
+ * @param {'scan'|'query'} operation - the read operation
+ * @param {Object} input - Scan or Query input
+ * @returns {Promise<Array<Object>>} the items of all pages
+ */
+async function readAllPages(db, operation, input) {
+  const items = [];
+  await readPages(db, operation, input, page => {
+    items.push(...page);
+  });
+  return items;
+}
+
+/** Host names that point at the local machine */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]', '0.0.0.0'];
+
+/**
+ * Finds the host name of a configured endpoint
+ * @param {string|Object|undefined} endpoint - the `endpoint` of a client configuration
+ * @returns {string|undefined} the host name, undefined when it cannot be determined
+ */
+function endpointHost(endpoint) {
+  if (typeof endpoint === 'string') {
+    try {
+      return new URL(endpoint).hostname;
+    } catch (error) {
+      return undefined;
+    }
+  }
+  return endpoint?.hostname || endpoint?.url?.hostname;
+}
+
+/**
+ * Describes a configured endpoint, so the endpoints of two clients can be compared
+ * @param {string|Object|undefined} endpoint - the resolved `endpoint` of a client configuration
+ * @returns {string} the endpoint's URL, or `the AWS endpoint` when none is configured
+ */
+function endpointUrl(endpoint) {
+  if (endpoint === undefined) {
+    return 'the AWS endpoint';
+  }
+  if (typeof endpoint === 'string') {
+    try {
+      return new URL(endpoint).href.replace(/\/$/, '');
+    } catch (error) {
+      return endpoint;
+    }
+  }
+  if (endpoint.url) {
+    return endpoint.url.href.replace(/\/$/, '');
+  }
+  const { protocol = 'https:', hostname, port, path: urlPath = '' } = endpoint;
+  return `${protocol}//${hostname}${port ? `:${port}` : ''}${urlPath}`.replace(/\/$/, '');
+}
+
+/**
+ * Checks whether a configured endpoint points at the local machine
+ * @param {string|Object|undefined} endpoint - the `endpoint` of a client configuration
+ * @returns {boolean} whether the endpoint is local
+ */
+function isLocalEndpoint(endpoint) {
+  const host = endpointHost(endpoint);
+  return Boolean(host) && (LOCAL_HOSTS.includes(host) || host.endsWith('.localhost'));
+}
+
+/**
+ * Checks a name, e.g. a table name or region, against a list of patterns
+ * @param {string|undefined} name - the name
+ * @param {RegExp|string|Array<RegExp|string>} [patterns] - regular expressions, or exact names
+ * @returns {boolean} whether any pattern matches
+ */
+function matchesName(name, patterns = []) {
+  return name !== undefined
+    && [].concat(patterns).some(pattern => (pattern instanceof RegExp ? pattern.test(name) : pattern === name));
+}
+
+/**
+ * Resolves a client configuration value that may be a provider function
+ * @param {any} value - the configured value or provider
+ * @returns {Promise<any>} the value
+ */
+async function resolveConfig(value) {
+  return typeof value === 'function' ? value() : value;
+}
+
+/**
+ * Checks that a table may be written to (see `SafetyOptions`)
+ * @param {DynamoDBClient} client - the fixture's client, used to resolve the region and account
+ * @param {string|Object|function|undefined} endpoint - the configured endpoint, or a provider of it
+ * @param {string} tableName - the table to write to
+ * @param {SafetyOptions} safety - the safety options
+ * @param {boolean} [allowRemote=false] - whether the caller explicitly allowed a non-local endpoint, which lifts the
+ *   local-only default but not the configured `endpoints`, `regions` and `accounts`
+ * @returns {Promise<void>} Promise that resolves if the table may be written to
+ * @throws {Error} Naming the target and the check it failed
+ */
+async function checkSafety(client, endpoint, tableName, safety, allowRemote = false) {
+  const { endpoints, regions, accounts, tables, unsafe } = safety;
+  if (unsafe) {
+    return;
+  }
+  const refuse = (reason) => {
+    throw new Error(`Refusing to write to table ${tableName}: ${reason}. Allow it with the safety option, or pass safety: { unsafe: true }`);
+  };
+
+  if (tables !== undefined && !matchesName(tableName, tables)) {
+    refuse('the table name is not in safety.tables');
+  }
+  const resolvedEndpoint = await resolveConfig(endpoint);
+  if (isLocalEndpoint(resolvedEndpoint)) {
+    return;
+  }
+
+  const host = endpointHost(resolvedEndpoint);
+  if (!allowRemote && endpoints === undefined && regions === undefined && accounts === undefined) {
+    refuse(`${host ? `endpoint ${host}` : 'the AWS endpoint'} is not local, and only local endpoints are allowed by default`);
+  }
+  if (endpoints !== undefined && !matchesName(host, endpoints)) {
+    refuse(`${host ? `endpoint ${host}` : 'the AWS endpoint'} is not in safety.endpoints`);
+  }
+  if (regions !== undefined) {
+    const region = await resolveConfig(client.config?.region);
+    if (!matchesName(region, regions)) {
+      refuse(`region ${region} is not in safety.regions`);
+    }
+  }
+  if (accounts !== undefined) {
+    const accountId = (await resolveConfig(client.config?.credentials))?.accountId;
+    if (!matchesName(accountId, accounts)) {
+      refuse(accountId ? `account ${accountId} is not in safety.accounts` : 'the credentials do not name an account to check against safety.accounts');
+    }
+  }
+}
+
+/**
+ * Encodes a value for a fixture file.  Sets, binary values and numbers JSON cannot hold exactly are written as
+ * `{"$set": [...]}`, `{"$binary": "<base64>"}` and `{"$number": "<digits>"}`.  Object attributes are sorted so the
+ * output is deterministic.
+ * @param {any} value - an unmarshalled DynamoDB value
+ * @returns {any} the encoded value
+ */
+function encodeValue(value) {
+  if (value instanceof Set) {
+    return { $set: [...value].map(encodeValue) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    return { $binary: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64') };
+  }
+  if (value instanceof NumberValue || typeof value === 'bigint') {
+    const digits = value.toString();
+    return String(Number(digits)) === digits ? Number(digits) : { $number: digits };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(name => [name, encodeValue(value[name])]));
+  }
+  return value;
+}
+
+/**
+ * Decodes a value read from a fixture file, reversing `encodeValue()`.  Integers the parser read as BigInts become
+ * numbers, or `NumberValue`s when a number cannot hold them exactly.
+ * @param {any} value - the parsed value
+ * @returns {any} the value to write to DynamoDB
+ */
+function decodeValue(value) {
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : NumberValue.from(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const names = Object.keys(value);
+  if (names.length === 1) {
+    switch (names[0]) {
+      case '$set':
+        return new Set(value.$set.map(decodeValue));
+      case '$binary':
+        return Buffer.from(value.$binary, 'base64');
+      case '$number':
+        return NumberValue.from(value.$number);
+    }
+  }
+  return Object.fromEntries(names.map(name => [name, decodeValue(value[name])]));
+}
+
+/**
+ * Orders two key attribute values: numbers numerically, strings and binary values bytewise
+ * @param {any} a - first value
+ * @param {any} b - second value
+ * @returns {number} negative, zero or positive like `Array.prototype.sort` expects
+ */
+function compareKeyValues(a, b) {
+  const isNumeric = (value) => typeof value === 'number' || typeof value === 'bigint' || value instanceof NumberValue;
+  if (isNumeric(a) && isNumeric(b)) {
+    // fall back to the digits for numbers beyond double precision
+    return Number(a) - Number(b) || String(a).localeCompare(String(b));
+  }
+  const toBytes = (value) => (ArrayBuffer.isView(value) ? Buffer.from(value.buffer, value.byteOffset, value.byteLength) : Buffer.from(String(value)));
+  return Buffer.compare(toBytes(a), toBytes(b));
+}
+
+/** Fixture file formats by file extension */
+const FIXTURE_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+/**
+ * Creates an error pointing at a location in a fixture file
+ * @param {string} file - the fixture file
+ * @param {number|undefined} line - the line number, if known
+ * @param {string} reason - what is wrong
+ * @returns {Error} the error
+ */
+function fixtureError(file, line, reason) {
+  return new Error(`${file}${line ? `:${line}` : ''}: ${reason}`);
+}
+
+/**
+ * Checks whether a parsed value can be a fixture record
+ * @param {any} value - the parsed value
+ * @returns {boolean} whether the value is an object
+ */
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a JSON text, keeping the digits of integers beyond double precision as BigInts for `decodeValue()`
+ * @param {string} text - the JSON text
+ * @returns {any} the parsed value
+ * @throws {SyntaxError} When the text is not valid JSON
+ */
+function parseJson(text) {
+  let unsafe = false;
+  const value = JSON.parse(text, (name, parsed) => {
+    unsafe = unsafe || (Number.isInteger(parsed) && !Number.isSafeInteger(parsed));
+    return parsed;
+  });
+  // JSON is valid YAML, and the YAML parser can read integers as BigInts
+  return unsafe ? YAML.parse(text, { intAsBigInt: true, uniqueKeys: false }) : value;
+}
+
+/**
+ * Parses newline delimited JSON records
+ * @param {string} file - the fixture file, for error messages
+ * @param {string} text - the file contents
+ * @returns {Array<Object>} the records
+ */
+function parseNdjson(file, text) {
+  const records = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let record;
+    try {
+      record = parseJson(line);
+    } catch (error) {
+      throw fixtureError(file, i + 1, error.message);
+    }
+    if (!isRecord(record)) {
+      throw fixtureError(file, i + 1, 'record is not an object');
+    }
+    records.push(decodeValue(record));
+  });
+  return records;
+}
+
+/**
+ * Parses a JSON or YAML document holding a list of records, or lists of records keyed by table name
+ * @param {string} file - the fixture file, for error messages
+ * @param {string} text - the file contents
+ * @param {boolean} json - whether the document must be strict JSON
+ * @returns {Array<Object>|Object<string, Array<Object>>} the records
+ */
+function parseDocument(file, text, json) {
+  if (json) {
+    try {
+      JSON.parse(text);
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message);
+      throw fixtureError(file, position && text.slice(0, Number(position[1])).split('\n').length, error.message);
+    }
+  }
+
+  // JSON is valid YAML, and the YAML parser keeps the position of every record and the digits of every integer.
+  // JSON allows duplicate keys, the last one wins like in JSON.parse().
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, uniqueKeys: !json, intAsBigInt: true });
+  const lineOf = (node) => (node?.range ? lineCounter.linePos(node.range[0]).line : undefined);
+
+  if (doc.errors.length) {
+    const [error] = doc.errors;
+    throw fixtureError(file, error.linePos?.[0].line, error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''));
+  }
+
+  const checkRecords = (node, owner, description) => {
+    if (!YAML.isSeq(node)) {
+      throw fixtureError(file, lineOf(node) || lineOf(owner), `${description} must be a list of records`);
+    }
+    node.items
+      .filter(record => !YAML.isMap(record))
+      .forEach(record => {
+        throw fixtureError(file, lineOf(record), 'record is not an object');
+      });
+  };
+
+  if (YAML.isMap(doc.contents)) {
+    doc.contents.items.forEach(({ key, value }) => checkRecords(value, key, `table ${key}`));
+  } else {
+    checkRecords(doc.contents, undefined, 'the file');
+  }
+  return decodeValue(doc.toJS());
+}
+
+/**
+ * Reads fixture records from a JSON, NDJSON or YAML file
+ * @param {string} file - path to the fixture file
+ * @returns {Promise<Array<Object>|Object<string, Array<Object>>>} the records, or the records keyed by table name
+ *   for a multi-table file
+ */
+async function readFixtureFile(file) {
+  const format = FIXTURE_FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported fixture file ${file}: expected ${Object.keys(FIXTURE_FORMATS).join(', ')}`);
+  }
+
+  const text = await fs.promises.readFile(file, 'utf8');
+  return format === 'ndjson' ? parseNdjson(file, text) : parseDocument(file, text, format === 'json');
+}
+
+/**
+ * Deeply compares two unmarshalled DynamoDB values, including Sets and binary values
+ * @param {any} a - first value
+ * @param {any} b - second value
+ * @returns {boolean} whether the values are equal
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || a.constructor !== b.constructor) {
+    return false;
+  }
+  if (a instanceof Set) {
+    return a.size === b.size && [...a].every(value => b.has(value));
+  }
+  if (ArrayBuffer.isView(a)) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+  }
+  const names = Object.keys(a);
+  return names.length === Object.keys(b).length && names.every(name => isEqual(a[name], b[name]));
+}
+
+/**
+ * Checks whether a value is a plain object, as opposed to arrays, Sets, Buffers and other class instances
+ * @param {any} value - the value
+ * @returns {boolean} whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Lists the attributes of an item that differ from the expected ones.  Nested plain objects are compared attribute
+ * by attribute; attributes that are not expected are ignored.
+ * @param {Object} expected - the expected attributes
+ * @param {Object} actual - the item
+ * @param {string} [prefix=''] - path of the compared objects
+ * @returns {Array<{path: string, expected: any, actual: any}>} the differences
+ */
+function diffAttributes(expected, actual, prefix = '') {
+  return Object.keys(expected).flatMap(name => {
+    const attributePath = `${prefix}${name}`;
+    if (isPlainObject(expected[name]) && isPlainObject(actual?.[name])) {
+      return diffAttributes(expected[name], actual[name], `${attributePath}.`);
+    }
+    return isEqual(expected[name], actual?.[name]) ? [] : [{ path: attributePath, expected: expected[name], actual: actual?.[name] }];
+  });
+}
+
+/**
+ * Formats a value for an assertion message
+ * @param {any} value - the value
+ * @returns {string} the formatted value
+ */
+function inspect(value) {
+  return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+/** Comparison operators of conditions, by condition name */
+const COMPARISON_OPERATORS = { eq: '=', ne: '<>', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+/** Condition names allowed in a key condition */
+const KEY_CONDITIONS = ['eq', 'lt', 'lte', 'gt', 'gte', 'between', 'beginsWith'];
+
+/** All condition names */
+const CONDITIONS = [...Object.keys(COMPARISON_OPERATORS), 'between', 'beginsWith', 'contains', 'exists'];
+
+/**
+ * Collects expression attribute name and value placeholders, so attribute names never clash with reserved words
+ * and values never need escaping
+ * @returns {{name: function(string): string, value: function(any): string, addTo: function(Object): Object}} the
+ *   placeholder collector: `name()` and `value()` return placeholders, `addTo()` adds them to a request input and
+ *   drops its undefined fields
+ */
+function expressionPlaceholders() {
+  const names = {};
+  const placeholders = new Map();
+  const values = {};
+
+  return {
+    name(attribute) {
+      if (!placeholders.has(attribute)) {
+        placeholders.set(attribute, `#n${placeholders.size}`);
+        names[`#n${placeholders.size - 1}`] = attribute;
+      }
+      return placeholders.get(attribute);
+    },
+    value(value) {
+      const placeholder = `:v${Object.keys(values).length}`;
+      values[placeholder] = value;
+      return placeholder;
+    },
+    addTo(input) {
+      Object.keys(input)
+        .filter(name => input[name] === undefined)
+        .forEach(name => delete input[name]);
+      if (placeholders.size) {
+        input.ExpressionAttributeNames = { ...input.ExpressionAttributeNames, ...names };
+      }
+      if (Object.keys(values).length) {
+        input.ExpressionAttributeValues = { ...input.ExpressionAttributeValues, ...values };
+      }
+      return input;
+    }
+  };
+}
+
+/**
+ * Builds the expression for a condition on one attribute.  A condition is a value to compare for equality, or an
+ * object with one of `eq`, `ne`, `lt`, `lte`, `gt`, `gte`, `between` (`[low, high]`), `beginsWith`, `contains`
+ * and `exists` (`true`/`false`).
+ * @param {Object} placeholders - placeholder collector
+ * @param {string} attribute - the attribute name
+ * @param {any} condition - the condition
+ * @param {Array<string>} [allowed] - condition names that may be used
+ * @returns {string} the condition expression
+ */
+function conditionExpression(placeholders, attribute, condition, allowed = CONDITIONS) {
+  const isOperator = isPlainObject(condition) && Object.keys(condition).length === 1 && CONDITIONS.includes(Object.keys(condition)[0]);
+  const [operator, operand] = isOperator ? Object.entries(condition)[0] : ['eq', condition];
+  if (!allowed.includes(operator)) {
+    throw new Error(`Condition "${operator}" cannot be used on ${attribute}`);
+  }
+
+  const name = placeholders.name(attribute);
+  switch (operator) {
+    case 'between':
+      return `${name} BETWEEN ${placeholders.value(operand[0])} AND ${placeholders.value(operand[1])}`;
+    case 'beginsWith':
+      return `begins_with(${name}, ${placeholders.value(operand)})`;
+    case 'contains':
+      return `contains(${name}, ${placeholders.value(operand)})`;
+    case 'exists':
+      return operand ? `attribute_exists(${name})` : `attribute_not_exists(${name})`;
+    default:
+      return `${name} ${COMPARISON_OPERATORS[operator]} ${placeholders.value(operand)}`;
+  }
+}
+
+/**
+ * Builds a filter expression requiring every condition
+ * @param {Object} placeholders - placeholder collector
+ * @param {Object<string, any>} [filter] - conditions keyed by attribute name (see `conditionExpression()`)
+ * @returns {string|undefined} the filter expression, undefined without conditions
+ */
+function filterExpression(placeholders, filter = {}) {
+  const conditions = Object.entries(filter).map(([attribute, condition]) => conditionExpression(placeholders, attribute, condition));
+  return conditions.length ? conditions.join(' AND ') : undefined;
+}
+
+/** Update operators, applied with `{ $operator: operand }` instead of a plain value */
+const UPDATE_OPERATORS = ['$add', '$append', '$prepend', '$remove'];
+
+/**
+ * Builds the expression for an attribute path.  Path segments are separated by dots, list elements are addressed
+ * with an index, e.g. `profile.addresses[0].city`.
+ * @param {Object} placeholders - placeholder collector
+ * @param {string} path - the attribute path
+ * @returns {string} the path with a placeholder for each attribute name
+ */
+function pathExpression(placeholders, path) {
+  return path.split('.').map(segment => {
+    const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(segment);
+    if (!match) {
+      throw new Error(`Invalid attribute path "${path}"`);
+    }
+    return `${placeholders.name(match[1])}${match[2]}`;
+  }).join('.');
+}
+
+/**
+ * Builds an update expression.  A change is a value to set, or an object with one of `$add` (a number to add, or
+ * a set to merge), `$append`/`$prepend` (a list, or a single element) and `$remove` (`true`).
+ * @param {Object} placeholders - placeholder collector
+ * @param {Object<string, any>} changes - changes keyed by attribute path (see `pathExpression()`)
+ * @returns {string} the update expression, empty without changes
+ */
+function updateExpression(placeholders, changes) {
+  const actions = { SET: [], REMOVE: [], ADD: [] };
+  Object.entries(changes).forEach(([path, change]) => {
+    const isOperator = isPlainObject(change) && Object.keys(change).length === 1 && UPDATE_OPERATORS.includes(Object.keys(change)[0]);
+    const [operator, operand] = isOperator ? Object.entries(change)[0] : ['$set', change];
+    const target = pathExpression(placeholders, path);
+    const list = () => placeholders.value(Array.isArray(operand) ? operand : [operand]);
+    const current = () => `if_not_exists(${target}, ${placeholders.value([])})`;
+
+    switch (operator) {
+      case '$add':
+        actions.ADD.push(`${target} ${placeholders.value(operand)}`);
+        break;
+      case '$append':
+        actions.SET.push(`${target} = list_append(${current()}, ${list()})`);
+        break;
+      case '$prepend':
+        actions.SET.push(`${target} = list_append(${list()}, ${current()})`);
+        break;
+      case '$remove':
+        actions.REMOVE.push(target);
+        break;
+      default:
+        actions.SET.push(`${target} = ${placeholders.value(operand)}`);
+    }
+  });
+
+  return Object.entries(actions)
+    .filter(([, clauses]) => clauses.length)
+    .map(([action, clauses]) => `${action} ${clauses.join(', ')}`)
+    .join(' ');
+}
+
+/**
+ * Copies arrays, Sets and plain objects so built items do not share nested values.  Other values, including class
+ * instances like Buffers or NumberValues, are kept as they are.
+ * @param {any} value - a factory attribute value
+ * @returns {any} the copy
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (value instanceof Set) {
+    return new Set([...value].map(cloneValue));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, nested]) => [name, cloneValue(nested)]));
+  }
+  return value;
+}
+
+/**
+ * Builds one item from factory attributes.  Plain values are copied first, then functions are called in order with
+ * the item built so far and the sequence number.  Attributes that end up `undefined` are left out.
+ * @param {Object<string, any>} attributes - the merged factory attributes
+ * @param {number} sequence - the item's sequence number
+ * @returns {Object} the item
+ */
+function buildItem(attributes, sequence) {
+  const item = {};
+  const lazy = Object.entries(attributes).filter(([name, value]) => {
+    if (typeof value !== 'function' && value !== undefined) {
+      item[name] = cloneValue(value);
+    }
+    return typeof value === 'function';
+  });
+
+  lazy.forEach(([name, attribute]) => {
+    const value = attribute(item, sequence);
+    if (value !== undefined) {
+      item[name] = value;
+    }
+  });
+  return item;
+}
 
 /**
  * Base class for interfacing with AWS DynamoDB using the fixture-interface pattern.
@@ -11,59 +1176,1398 @@ const { DynamoDBDocument} = require('@aws-sdk/lib-dynamodb');
 class DynamoFx extends Fx {
 
   /**
-   * Creates a new DynamoDB fixture interface
-   * @param {DynamoDBClientConfig} connConfig - DynamoDB connection configuration
-   * @param {string} tableName - Name of the DynamoDB table to operate on
+   * Creates a new DynamoDB fixture interface
+   * @param {DynamoDBClientConfig|DynamoDBClient|DynamoDBDocumentClient|DynamoDBDocument} connConfig - DynamoDB
+   *   connection configuration, or an existing client to share, e.g. with the code under test.  Anything with a
+   *   `send()` method is treated as a client.
+   * @param {string} tableName - Name of the DynamoDB table to operate on
+   * @param {DynamoFxOptions} [options] - Fixture options
+   * @throws {Error} If marshalling options are given with an existing DynamoDBDocument
+   */
+  constructor(connConfig, tableName, options = {}) {
+    super();
+
+    /** @type {string} */
+    this.logicalTableName = tableName;
+
+    /** @type {boolean} */
+    this.isolated = Boolean(options.isolate);
+
+    /** @type {string} */
+    this.tableName = this.isolated
+      ? isolatedTableName(tableName, options.isolate === true ? {} : options.isolate)
+      : tableName;
+
+    /** @type {KeyNames|undefined} */
+    this.keySchema = options.keySchema ? toKeyNames(options.keySchema) : undefined;
+
+    /** @type {TableDefinition|undefined} */
+    this.tableDefinition = options.tableDefinition;
+
+    /** @type {'item'|'batch'} */
+    this.cleanupMode = options.cleanupMode || 'item';
+
+    /** @type {{attribute: string, minutes: number}|undefined} */
+    this.ttl = options.ttl
+      ? { attribute: 'expiresAt', minutes: 60, ...(options.ttl === true ? {} : options.ttl) }
+      : undefined;
+
+    /** @type {{attribute: string, runId: string, suite?: string}|undefined} */
+    this.marker = options.marker
+      ? { attribute: MARKER_ATTRIBUTE, runId: RUN_ID, ...(options.marker === true ? {} : options.marker) }
+      : undefined;
+
+    /** @type {SafetyOptions} */
+    this.safety = options.safety || {};
+
+    /** @type {'overwrite'|'failIfExists'|'skipIfExists'} */
+    this.insertMode = options.insertMode || 'overwrite';
+
+    /** @type {Promise<void>|undefined} */
+    this.safetyCheck = undefined;
+
+    /** @type {Promise<any>|undefined} */
+    this.describeRequest = undefined;
+
+    /** @type {Object<string, {keySchema: KeyNames, local: boolean}>} */
+    this.indexes = {};
+
+    /** @type {Array<any>|undefined} */
+    this.lastSnapshot = undefined;
+
+    /** @type {Set<string>|undefined} */
+    this.capturedKeys = undefined;
+
+    /** @type {Map<string, Object|undefined>} */
+    this.previousItems = new Map();
+
+    /** @type {{attributes: Object<string, any>, traits: Object<string, Object<string, any>>, sequence: number}|undefined} */
+    this.factory = undefined;
+
+    // setup dynamo connection info
+    const { marshallOptions, unmarshallOptions } = options;
+    // clients are recognized by shape, so clients of another copy of the SDK are shared as well
+    const sharedClient = typeof connConfig?.send === 'function';
+    const translateConfig = marshallOptions || unmarshallOptions ? { marshallOptions, unmarshallOptions } : undefined;
+    if (sharedClient && typeof connConfig.put === 'function') {
+      if (translateConfig) {
+        throw new Error('Marshalling options cannot be applied to an existing DynamoDBDocument, configure them on the DynamoDBDocument');
+      }
+      // the document client shares the configuration and middleware of its base client, so it sends any command
+      /** @type {DynamoDBClient|DynamoDBDocument} */
+      this.client = connConfig;
+      /** @type {DynamoDBDocument} */
+      this.db = connConfig;
+    } else if (sharedClient) {
+      // a DynamoDBClient, or a bare DynamoDBDocumentClient without the put/get/... methods.  A document client
+      // writes its translate config into the configuration it is built from, so it wraps a copy and the shared
+      // client keeps its own marshalling options.
+      this.client = connConfig;
+      this.db = DynamoDBDocument.from(
+        { config: { ...connConfig.config }, middlewareStack: connConfig.middlewareStack },
+        translateConfig || connConfig.config?.translateConfig
+      );
+    } else {
+      this.client = new DynamoDBClient(connConfig);
+      this.db = DynamoDBDocument.from(this.client, translateConfig);
+    }
+
+    /** @type {string|Object|function|undefined} */
+    this.endpoint = sharedClient ? connConfig.config?.endpoint : connConfig?.endpoint;
+  }
+
+  /**
+   * Inserts an item into the DynamoDB table.  Unless the mode is `overwrite`, the put is conditional on the key
+   * attributes not existing yet.  The item the first insert of a key replaced is remembered, so cleanup can put it
+   * back.
+   * @param {any} item - The item to insert into the table
+   * @param {{mode?: 'overwrite'|'failIfExists'|'skipIfExists'}} [options] - The insert mode, defaults to the
+   *   `insertMode` option
+   * @returns {Promise<PutCommandOutput|undefined>} Promise that resolves when the item is inserted, with undefined
+   *   if it was skipped
+   * @throws {Error} Naming the key of the existing item in `failIfExists` mode
+   */
+  async insert(item, { mode = this.insertMode } = {}) {
+    await this.assertWritable();
+    await this.loadKeySchema();
+    const input = await this.putInput(item, mode);
+    try {
+      const result = await this.db.put({ ...input, ReturnValues: 'ALL_OLD' });
+      const id = item && keyId(this.getKey(item));
+      if (id && !this.previousItems.has(id)) {
+        this.previousItems.set(id, result?.Attributes);
+      }
+      return result;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      if (mode === 'skipIfExists') {
+        return undefined;
+      }
+      const key = this.getKey(item);
+      const collision = new Error(`An item with key ${inspect(key)} already exists in table ${this.tableName}`, { cause: error });
+      collision.key = key;
+      throw collision;
+    }
+  }
+
+  /**
+   * Inserts items and tracks them for cleanup.  In `overwrite` mode, the items they replace are read before any of
+   * them is written, since concurrent puts of one key would each return another put's item.  In `skipIfExists`
+   * mode, items that already existed are not tracked, so cleanup leaves them alone.
+   * @param {Array<any>} items - The items to insert into the table
+   * @returns {Promise<Array<any>>} Promise that resolves when the items are inserted
+   */
+  async provision(items) {
+    if (this.insertMode === 'overwrite') {
+      await this.assertWritable();
+      await this.capturePreviousItems(items);
+    }
+    if (this.insertMode !== 'skipIfExists') {
+      return super.provision(items);
+    }
+    return Promise.all(items.map(async item => {
+      if (await this.insert(item)) {
+        this.addData(item);
+      }
+      return item;
+    }));
+  }
+
+  /**
+   * Reads the items that writing `items` would replace, so cleanup can put them back like it does for `insert()`.
+   * Keys whose previous item is already remembered are not read again.
+   * @param {Array<any>} items - The items about to be written
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed keys
+   * @returns {Promise<void>} Promise that resolves when the previous items are remembered
+   */
+  async capturePreviousItems(items, options) {
+    await this.loadKeySchema();
+    const keys = new Map();
+    items.forEach(item => {
+      const key = this.getKey(item);
+      if (!this.previousItems.has(keyId(key))) {
+        keys.set(keyId(key), key);
+      }
+    });
+    const previous = await this.getMany([...keys.values()], { consistentRead: true, ...options });
+    [...keys.keys()].forEach((id, index) => this.previousItems.set(id, previous[index]));
+  }
+
+  /**
+   * Builds the PutItem input for an item.  Unless the mode is `overwrite`, the put is conditional on the key
+   * attributes not existing yet.
+   * @param {any} item - The item to insert
+   * @param {'overwrite'|'failIfExists'|'skipIfExists'} [mode] - The insert mode, defaults to the `insertMode` option
+   * @returns {Promise<Object>} The PutItem input
+   */
+  async putInput(item, mode = this.insertMode) {
+    if (!INSERT_MODES.includes(mode)) {
+      throw new Error(`Unknown insert mode "${mode}", expected one of ${INSERT_MODES.join(', ')}`);
+    }
+    const input = { TableName: this.tableName, Item: this.stamp(item) };
+    if (mode === 'overwrite') {
+      return input;
+    }
+
+    const { hashKey, rangeKey } = await this.loadKeySchema();
+    const placeholders = expressionPlaceholders();
+    input.ConditionExpression = [hashKey, rangeKey]
+      .filter(Boolean)
+      .map(name => `attribute_not_exists(${placeholders.name(name)})`)
+      .join(' AND ');
+    return placeholders.addTo(input);
+  }
+
+  /**
+   * Checks that the fixture may write to its table (see the `safety` option).  The check runs once per fixture
+   * and is repeated by every write and delete.
+   * @returns {Promise<void>} Promise that resolves if the table may be written to
+   * @throws {Error} Naming the target and the check it failed
+   */
+  assertWritable() {
+    if (!this.safetyCheck) {
+      this.safetyCheck = checkSafety(this.client, this.endpoint, this.tableName, this.safety);
+    }
+    return this.safetyCheck;
+  }
+
+  /**
+   * Stamps the expiry time of the `ttl` option and the run marker of the `marker` option on an item.  Attributes
+   * the item already has are kept.
+   * @param {Object} item - The item to be inserted
+   * @returns {Object} A copy of the item with the stamped attributes, or the item itself if nothing was stamped
+   */
+  stamp(item) {
+    const stamps = {};
+    if (this.ttl && item[this.ttl.attribute] === undefined) {
+      stamps[this.ttl.attribute] = Math.floor(Date.now() / 1000) + this.ttl.minutes * 60;
+    }
+    if (this.marker && item[this.marker.attribute] === undefined) {
+      const { runId, suite } = this.marker;
+      stamps[this.marker.attribute] = suite === undefined
+        ? { runId, createdAt: Date.now() }
+        : { runId, suite, createdAt: Date.now() };
+    }
+    return Object.keys(stamps).length ? { ...item, ...stamps } : item;
+  }
+
+  /**
+   * Removes an item from the DynamoDB table
+   * @param {any} keyOrItem - The key identifying the item to remove, or the full item object
+   * @returns {Promise<DeleteCommandOutput>} Promise that resolves when the item is removed
+   */
+  async remove(keyOrItem) {
+    await this.loadKeySchema();
+    const key = this.getKey(keyOrItem);
+    await this.assertWritable();
+    return this.db.delete({TableName: this.tableName, Key: key});
+  }
+
+  /**
+   * Helper for getting an item out of a DynamoDB table.  Useful when checking what was inserted into the DB.
+   * `getItem()` returns the item itself.
+   * @param {any} keyOrItem - The key identifying the item to get, or the full item object
+   * @returns {Promise<Document>} The item from DynamoDB
+   */
+  async get(keyOrItem) {
+    await this.loadKeySchema();
+    const key = this.getKey(keyOrItem);
+    return this.db.get({TableName: this.tableName, Key: key});
+  }
+
+  /**
+   * Reads an item
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {ReadOptions} [options] - Consistency and projection of the read
+   * @returns {Promise<Object|undefined>} The item, undefined if there is none
+   */
+  async getItem(keyOrItem, { consistentRead, projection } = {}) {
+    await this.loadKeySchema();
+    const placeholders = expressionPlaceholders();
+    const { Item } = await this.db.get(placeholders.addTo({
+      TableName: this.tableName,
+      Key: this.getKey(keyOrItem),
+      ConsistentRead: consistentRead,
+      ProjectionExpression: projection?.map(path => pathExpression(placeholders, path)).join(', ')
+    }));
+    return Item;
+  }
+
+  /**
+   * Reads many items with BatchGetItem, 100 keys per request.  Unprocessed keys are retried with exponential
+   * backoff; keys that are still unprocessed afterwards cause an error.
+   * @param {Array<any>} keysOrItems - Keys identifying the items, or full item objects
+   * @param {ReadOptions & BatchOptions} [options] - Consistency and projection of the reads, and retry behaviour
+   * @returns {Promise<Array<Object|undefined>>} The items in the order of the keys, undefined for keys without one
+   */
+  async getMany(keysOrItems, { consistentRead, projection, ...batchOptions } = {}) {
+    const { hashKey, rangeKey } = await this.loadKeySchema();
+    const keyNames = [hashKey, rangeKey].filter(Boolean);
+    // a batch must not contain duplicate keys
+    const keys = new Map();
+    keysOrItems.forEach(keyOrItem => {
+      const key = this.getKey(keyOrItem);
+      keys.set(keyId(key), key);
+    });
+
+    // the key attributes are needed to match the items with the keys, but only returned if requested
+    const placeholders = expressionPlaceholders();
+    const request = placeholders.addTo({
+      ConsistentRead: consistentRead,
+      ProjectionExpression: projection && [...new Set([...projection, ...keyNames])]
+        .map(path => pathExpression(placeholders, path))
+        .join(', ')
+    });
+    const unrequested = projection ? keyNames.filter(name => !projection.includes(name)) : [];
+
+    const found = new Map();
+    for (const batch of chunk([...keys.values()], BATCH_GET_LIMIT)) {
+      const { items, unprocessed } = await batchGet(this.db, this.tableName, { ...request, Keys: batch }, batchOptions);
+      if (unprocessed.length) {
+        throw new Error(`${unprocessed.length} keys could not be read from ${this.tableName}`);
+      }
+      items.forEach(item => {
+        const id = keyId(this.getKey(item));
+        unrequested.forEach(name => delete item[name]);
+        found.set(id, item);
+      });
+    }
+    return keysOrItems.map(keyOrItem => found.get(keyId(this.getKey(keyOrItem))));
+  }
+
+  /**
+   * Updates attributes of an existing item in place
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {Object<string, any>} changes - Changes keyed by attribute path, e.g. `'profile.addresses[0].city'`.  A
+   *   change is a value to set, or one of `{ $add: number|Set }`, `{ $append: list|element }`,
+   *   `{ $prepend: list|element }` and `{ $remove: true }`.
+   * @param {{condition?: Object<string, any>}} [options] - Conditions the item must meet, keyed by attribute name
+   *   like a query filter
+   * @returns {Promise<Object>} The updated item
+   * @throws {Error} Naming the key if the item does not exist or does not meet the condition
+   */
+  async update(keyOrItem, changes, { condition } = {}) {
+    await this.assertWritable();
+    const { hashKey } = await this.loadKeySchema();
+    const key = this.getKey(keyOrItem);
+
+    const placeholders = expressionPlaceholders();
+    const expression = updateExpression(placeholders, changes);
+    if (!expression) {
+      throw new Error(`No changes given to update item ${inspect(key)} in table ${this.tableName}`);
+    }
+    const conditions = [`attribute_exists(${placeholders.name(hashKey)})`, filterExpression(placeholders, condition)];
+
+    try {
+      const { Attributes } = await this.db.update(placeholders.addTo({
+        TableName: this.tableName,
+        Key: key,
+        UpdateExpression: expression,
+        ConditionExpression: conditions.filter(Boolean).join(' AND '),
+        ReturnValues: 'ALL_NEW',
+        ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+      }));
+      return Attributes;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      // the item is only returned when it exists, so its absence means the existence check failed
+      const failure = new Error(error.Item
+        ? `Item ${inspect(key)} in table ${this.tableName} does not meet the update condition`
+        : `No item with key ${inspect(key)} in table ${this.tableName} to update`, { cause: error });
+      failure.key = key;
+      throw failure;
+    }
+  }
+
+  /**
+   * Queries a partition of the table or of an index, following `LastEvaluatedKey` through every page
+   * @param {any} partitionValue - Value of the partition key
+   * @param {QueryOptions} [options] - Sort key condition, index and filter
+   * @returns {Promise<Array<any>>} The items of all pages
+   */
+  async queryAll(partitionValue, { sortKeyCondition, indexName, filter, consistentRead } = {}) {
+    const { hashKey, rangeKey } = indexName ? await this.loadIndexKeySchema(indexName) : await this.loadKeySchema();
+    const placeholders = expressionPlaceholders();
+    const keyConditions = [conditionExpression(placeholders, hashKey, partitionValue, ['eq'])];
+    if (sortKeyCondition !== undefined) {
+      if (!rangeKey) {
+        throw new Error(`Cannot use a sort key condition on ${indexName || this.tableName}, it has no sort key`);
+      }
+      keyConditions.push(conditionExpression(placeholders, rangeKey, sortKeyCondition, KEY_CONDITIONS));
+    }
+
+    const global = Boolean(indexName) && !this.indexes[indexName].local;
+    return readAllPages(this.db, 'query', placeholders.addTo({
+      TableName: this.tableName,
+      IndexName: indexName,
+      KeyConditionExpression: keyConditions.join(' AND '),
+      FilterExpression: filterExpression(placeholders, filter),
+      ConsistentRead: consistentRead ?? !global
+    }));
+  }
+
+  /**
+   * Scans the table or an index, following `LastEvaluatedKey` through every page
+   * @param {ScanOptions} [options] - Filter and index
+   * @returns {Promise<Array<any>>} The items of all pages
+   */
+  scanAll({ filter, indexName, consistentRead } = {}) {
+    const placeholders = expressionPlaceholders();
+    return readAllPages(this.db, 'scan', placeholders.addTo({
+      TableName: this.tableName,
+      IndexName: indexName,
+      FilterExpression: filterExpression(placeholders, filter),
+      ConsistentRead: consistentRead ?? !indexName
+    }));
+  }
+
+  /**
+   * Inserts many items with BatchWriteItem, 25 items per request, and tracks them for cleanup like `provision()`.
+   * Unprocessed items are retried with exponential backoff; items that are still unprocessed afterwards cause an error.
+   * A key repeated within a batch is written once, with its last item.  Items with existing keys are always
+   * overwritten, so only the `overwrite` insert mode is supported; the items that are replaced are read first, so
+   * cleanup puts them back.
+   * @param {Array<any>} items - The items to insert into the table
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed items
+   * @returns {Promise<Array<any>>} The provisioned items
+   */
+  async batchProvision(items, options) {
+    if (this.insertMode !== 'overwrite') {
+      throw new Error(`Cannot batch provision in ${this.insertMode} mode, BatchWriteItem does not support conditions`);
+    }
+    await this.assertWritable();
+    await this.capturePreviousItems(items, options);
+    for (const chunkItems of chunk(items, BATCH_WRITE_LIMIT)) {
+      // a batch must not contain duplicate keys; the last item for a key is the one provision() would leave behind
+      const batch = [...new Map(chunkItems.map(item => [keyId(this.getKey(item)), item])).values()];
+      const unprocessed = await batchWrite(this.db, this.tableName, batch.map(item => ({ PutRequest: { Item: this.stamp(item) } })), options);
+
+      // track everything that made it into the table, even when part of the batch failed
+      const failedKeys = new Set(unprocessed.map(({ PutRequest }) => keyId(this.getKey(PutRequest.Item))));
+      batch
+        .filter(item => !failedKeys.has(keyId(this.getKey(item))))
+        .forEach(item => this.addData(item));
+
+      if (unprocessed.length) {
+        throw new Error(`${unprocessed.length} items could not be written to ${this.tableName}`);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Inserts up to 100 items in one TransactWriteItems call, so either all of them are written or none.  Items are
+   * tracked for cleanup only once the transaction commits.  Unless the insert mode is `overwrite`, an existing key
+   * cancels the transaction; otherwise the items that are replaced are read first, so cleanup puts them back.
+   * @param {Array<any>} items - The items to insert into the table
+   * @returns {Promise<Array<any>>} The provisioned items
+   * @throws {Error} With the cancellation reason of each failed item, when the transaction is cancelled
+   */
+  async transactProvision(items) {
+    await transactPut(items.map(item => ({ fixture: this, item })));
+    return items;
+  }
+
+  /**
+   * Provisions the records of a JSON (array), NDJSON or YAML file.  For a multi-table file, an object of record
+   * lists keyed by table name, only the records of this fixture's table are provisioned.
+   * @param {string} file - Path to the fixture file
+   * @param {{batch?: boolean} & BatchOptions} [options] - `batch: true` provisions with `batchProvision()`
+   * @returns {Promise<Array<any>>} The provisioned items
+   * @throws {Error} Naming the file and line of a malformed record
+   */
+  async provisionFromFile(file, options) {
+    const records = await readFixtureFile(file);
+    return this.provisionRecords(Array.isArray(records) ? records : this.tableRecords(records), options);
+  }
+
+  /**
+   * Provisions the fixture files of a directory, in file name order.  Multi-table files contribute the records of
+   * this fixture's table; files holding a list of records only count when named after the table, e.g. `users.json`.
+   * @param {string} dir - Path to the directory
+   * @param {{batch?: boolean} & BatchOptions} [options] - `batch: true` provisions with `batchProvision()`
+   * @returns {Promise<Array<any>>} The provisioned items
+   * @throws {Error} Naming the file and line of a malformed record
+   */
+  async provisionFromDirectory(dir, options) {
+    const files = (await fs.promises.readdir(dir))
+      .filter(name => FIXTURE_FORMATS[path.extname(name).toLowerCase()])
+      .sort();
+
+    const items = [];
+    for (const name of files) {
+      const records = await readFixtureFile(path.join(dir, name));
+      if (!Array.isArray(records)) {
+        items.push(...this.tableRecords(records));
+      } else if ([this.logicalTableName, this.tableName].includes(path.basename(name, path.extname(name)))) {
+        items.push(...records);
+      }
+    }
+    return this.provisionRecords(items, options);
+  }
+
+  /**
+   * Picks this fixture's records out of a multi-table fixture
+   * @param {Object<string, Array<any>>} tables - Records keyed by table name
+   * @returns {Array<any>} The records for this table, by logical or physical name
+   */
+  tableRecords(tables) {
+    return tables[this.logicalTableName] || tables[this.tableName] || [];
+  }
+
+  /**
+   * Provisions loaded fixture records
+   * @param {Array<any>} records - The records to provision
+   * @param {{batch?: boolean} & BatchOptions} [options] - `batch: true` provisions with `batchProvision()`
+   * @returns {Promise<Array<any>>} The provisioned items
    */
-  constructor(connConfig, tableName) {
-    super();
+  provisionRecords(records, { batch = false, ...batchOptions } = {}) {
+    return batch ? this.batchProvision(records, batchOptions) : this.provision(records);
+  }
 
-    /** @type {string} */
-    this.tableName = tableName;
+  /**
+   * Reads fixture records from a JSON, NDJSON or YAML file without provisioning them
+   * @param {string} file - Path to the fixture file
+   * @returns {Promise<Array<any>|Object<string, Array<any>>>} The records, or the records keyed by table name
+   * @throws {Error} Naming the file and line of a malformed record
+   */
+  static readFixtureFile(file) {
+    return readFixtureFile(file);
+  }
 
-    // setup dynamo connection info
-    const baseClient = new DynamoDBClient(connConfig);
-    const client = DynamoDBDocument.from(baseClient);
-    /** @type {DynamoDBDocumentClient} */
-    this.db = client;
+  /**
+   * Writes the table's items to a JSON (array) or NDJSON fixture file that `provisionFromFile()` can replay.
+   * Items are ordered by key, and Sets, binary values and numbers beyond double precision are encoded so they survive
+   * the round trip.
+   * @param {string} file - Path of the file to write, `.json`, `.ndjson` or `.jsonl`
+   * @param {ExportOptions} [options] - Which items to export
+   * @returns {Promise<Array<any>>} The exported items, as `readFixtureFile()` reads them back
+   */
+  async exportToFile(file, { keyPrefix, filter } = {}) {
+    const format = FIXTURE_FORMATS[path.extname(file).toLowerCase()];
+    if (format !== 'json' && format !== 'ndjson') {
+      throw new Error(`Unsupported export file ${file}: expected .json, .ndjson or .jsonl`);
+    }
+
+    const { hashKey, rangeKey } = await this.loadKeySchema();
+    const input = { TableName: this.tableName, ConsistentRead: true };
+    const conditions = [];
+    if (keyPrefix !== undefined) {
+      conditions.push('begins_with(#exportHashKey, :exportKeyPrefix)');
+      input.ExpressionAttributeNames = { '#exportHashKey': hashKey };
+      input.ExpressionAttributeValues = { ':exportKeyPrefix': keyPrefix };
+    }
+    if (filter) {
+      conditions.push(`(${filter.expression})`);
+      input.ExpressionAttributeNames = { ...input.ExpressionAttributeNames, ...filter.names };
+      input.ExpressionAttributeValues = { ...input.ExpressionAttributeValues, ...filter.values };
+    }
+    if (conditions.length) {
+      input.FilterExpression = conditions.join(' AND ');
+      input.ExpressionAttributeValues = marshall(input.ExpressionAttributeValues);
+    }
+
+    // the document client reads numbers as doubles, so the export scans with the base client and keeps the digits
+    const exact = {
+      scan: async (scanInput) => {
+        const page = await this.client.send(new ScanCommand(scanInput));
+        return { ...page, Items: (page.Items || []).map(item => unmarshall(item, { wrapNumbers: true })) };
+      }
+    };
+    const items = await readAllPages(exact, 'scan', input);
+    items.sort((a, b) => compareKeyValues(a[hashKey], b[hashKey]) || (rangeKey ? compareKeyValues(a[rangeKey], b[rangeKey]) : 0));
+
+    const records = items.map(encodeValue);
+    const text = format === 'json'
+      ? `${JSON.stringify(records, null, 2)}\n`
+      : records.map(record => `${JSON.stringify(record)}\n`).join('');
+    await fs.promises.writeFile(file, text);
+    return records.map(decodeValue);
   }
 
   /**
-   * Inserts an item into the DynamoDB table
-   * @param {any} item - The item to insert into the table
-   * @returns {Promise<PutCommandOutput>} Promise that resolves when the item is inserted
+   * Defines how `build()` and `create()` generate items.  Plain attribute values are copied into every item.
+   * Functions are lazy attributes: they are called for every item with the item built so far and its sequence
+   * number (1, 2, 3, ... for the fixture), after all plain values and in definition order.
+   * @param {Object<string, any>} attributes - The default attributes
+   * @param {{traits?: Object<string, Object<string, any>>}} [options] - Named sets of attributes that `build()` and
+   *   `create()` can apply on top of the defaults
+   * @returns {DynamoFx} The fixture, for chaining
    */
-  insert(item) {
-    return this.db.put({TableName: this.tableName, Item: item});
+  define(attributes, { traits = {} } = {}) {
+    this.factory = { attributes, traits, sequence: 0 };
+    return this;
   }
 
   /**
-   * Removes an item from the DynamoDB table
-   * @param {any} keyOrItem - The key identifying the item to remove, or the full item object
-   * @returns {Promise<DeleteCommandOutput>} Promise that resolves when the item is removed
+   * Generates items from the definition given to `define()` without inserting them.  Trait names and override
+   * objects are applied on top of the defaults, in order; overriding an attribute with `undefined` leaves it out.
+   * @param {number} [count=1] - How many items to build
+   * @param {...(string|Object<string, any>)} traitsAndOverrides - Trait names and attribute overrides
+   * @returns {Array<Object>} The built items
    */
-  remove(keyOrItem) {
-    const key = this.getKey(keyOrItem);
-    return this.db.delete({TableName: this.tableName, Key: key});
+  build(count = 1, ...traitsAndOverrides) {
+    if (!this.factory) {
+      throw new Error(`No factory is defined for table ${this.tableName}, call define() first`);
+    }
+
+    const layers = traitsAndOverrides.map(layer => {
+      if (typeof layer !== 'string') {
+        return layer;
+      }
+      if (!this.factory.traits[layer]) {
+        throw new Error(`Unknown trait "${layer}" for table ${this.tableName}`);
+      }
+      return this.factory.traits[layer];
+    });
+    const attributes = Object.assign({}, this.factory.attributes, ...layers);
+
+    return Array.from({ length: count }, () => buildItem(attributes, ++this.factory.sequence));
   }
 
   /**
-   * Helper for getting an item out of a DynamoDB table.  Useful when checking what was inserted into the DB.
-   * @param {any} keyOrItem - The key identifying the item to get, or the full item object
-   * @returns {Promise<Document>} The item from DynamoDB
+   * Generates items like `build()` and provisions them, so they are removed by `cleanup()`
+   * @param {number} [count=1] - How many items to create
+   * @param {...(string|Object<string, any>)} traitsAndOverrides - Trait names and attribute overrides
+   * @returns {Promise<Array<Object>>} The created items
    */
-  get(keyOrItem) {
+  async create(count = 1, ...traitsAndOverrides) {
+    const items = this.build(count, ...traitsAndOverrides);
+    await this.provision(items);
+    return items;
+  }
+
+  /**
+   * Reads an item with a consistent read and compares it with the expected attributes
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {Object} [expected] - Attributes the item is expected to have
+   * @returns {Promise<{key: any, item: Object|undefined, diffs: Array<{path: string, expected: any, actual: any}>}>}
+   *   The item, if any, and the attributes that differ
+   */
+  async matchItem(keyOrItem, expected) {
+    await this.loadKeySchema();
     const key = this.getKey(keyOrItem);
-    return this.db.get({TableName: this.tableName, Key: key});
+    const { Item: item } = await this.db.get({ TableName: this.tableName, Key: key, ConsistentRead: true });
+    return { key, item, diffs: item && expected ? diffAttributes(expected, item) : [] };
+  }
+
+  /**
+   * Asserts that an item exists and has the expected attributes.  Attributes that are not expected are ignored,
+   * nested objects are compared attribute by attribute.
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {Object} [expected] - Attributes the item is expected to have
+   * @returns {Promise<Object>} The item
+   * @throws {assert.AssertionError} Listing every attribute that differs
+   */
+  async expectItem(keyOrItem, expected) {
+    const { key, item, diffs } = await this.matchItem(keyOrItem, expected);
+    if (!item) {
+      throw new assert.AssertionError({
+        message: `Expected an item with key ${inspect(key)} in ${this.tableName}, but there is none`,
+        actual: item,
+        expected,
+        operator: 'expectItem'
+      });
+    }
+    if (diffs.length) {
+      const lines = diffs.map(diff => `  ${diff.path}: expected ${inspect(diff.expected)}, got ${inspect(diff.actual)}`);
+      throw new assert.AssertionError({
+        message: `Item ${inspect(key)} in ${this.tableName} does not match:\n${lines.join('\n')}`,
+        actual: Object.fromEntries(Object.keys(expected).map(name => [name, item[name]])),
+        expected,
+        operator: 'expectItem'
+      });
+    }
+    return item;
+  }
+
+  /**
+   * Asserts that no item exists for a key
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @returns {Promise<void>}
+   * @throws {assert.AssertionError} Showing the item that exists
+   */
+  async expectNoItem(keyOrItem) {
+    const { key, item } = await this.matchItem(keyOrItem);
+    if (item) {
+      throw new assert.AssertionError({
+        message: `Expected no item with key ${inspect(key)} in ${this.tableName}, but found ${inspect(item)}`,
+        actual: item,
+        expected: undefined,
+        operator: 'expectNoItem'
+      });
+    }
+  }
+
+  /**
+   * Asserts how many items in the table have the given attribute values
+   * @param {Object<string, any>} query - Attribute values to match, `{}` to count the whole table
+   * @param {number} count - The expected number of items
+   * @returns {Promise<void>}
+   * @throws {assert.AssertionError} With the actual count
+   */
+  async expectCount(query, count) {
+    let actual = 0;
+    const placeholders = expressionPlaceholders();
+    const input = { TableName: this.tableName, Select: 'COUNT', ConsistentRead: true, FilterExpression: filterExpression(placeholders, query) };
+    await readPages(this.db, 'scan', placeholders.addTo(input), (items, page) => {
+      actual += page.Count || 0;
+    });
+
+    if (actual !== count) {
+      throw new assert.AssertionError({
+        message: `Expected ${count} items matching ${inspect(query)} in ${this.tableName}, but found ${actual}`,
+        actual,
+        expected: count,
+        operator: 'expectCount'
+      });
+    }
+  }
+
+  /**
+   * Polls an item with consistent reads until it exists and satisfies `predicate`.  Useful when the code under
+   * test writes asynchronously.
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {function(Object): boolean|Object} [predicate] - Checks the item, or attributes the item is expected to
+   *   have.  Without it, any item satisfies.
+   * @param {PollOptions} [pollOptions] - How long and how often to check, by default 1500ms and every 100ms
+   * @returns {Promise<Object>} The item
+   * @throws {assert.AssertionError} Showing the last observed item when the timeout expires
+   */
+  async waitForItem(keyOrItem, predicate, pollOptions) {
+    const matches = typeof predicate === 'function'
+      ? predicate
+      : (item) => !predicate || !diffAttributes(predicate, item).length;
+
+    const { key, item, done } = await this.pollItem(keyOrItem, item => Boolean(item) && matches(item), pollOptions);
+    if (!done) {
+      throw new assert.AssertionError({
+        message: `Timed out waiting for item ${inspect(key)} in ${this.tableName}, last observed ${inspect(item)}`,
+        actual: item,
+        expected: typeof predicate === 'function' ? undefined : predicate,
+        operator: 'waitForItem'
+      });
+    }
+    return item;
+  }
+
+  /**
+   * Polls an item with consistent reads until it no longer exists
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {PollOptions} [pollOptions] - How long and how often to check, by default 1500ms and every 100ms
+   * @returns {Promise<void>}
+   * @throws {assert.AssertionError} Showing the last observed item when the timeout expires
+   */
+  async waitForItemGone(keyOrItem, pollOptions) {
+    const { key, item, done } = await this.pollItem(keyOrItem, item => !item, pollOptions);
+    if (!done) {
+      throw new assert.AssertionError({
+        message: `Timed out waiting for item ${inspect(key)} in ${this.tableName} to be removed, last observed ${inspect(item)}`,
+        actual: item,
+        expected: undefined,
+        operator: 'waitForItemGone'
+      });
+    }
+  }
+
+  /**
+   * Reads an item with consistent reads until `isDone` accepts it or the timeout expires
+   * @param {any} keyOrItem - The key identifying the item, or the full item object
+   * @param {function(Object|undefined): boolean} isDone - Checks the item, `undefined` if it does not exist
+   * @param {PollOptions} [pollOptions] - How long and how often to check, by default 1500ms and every 100ms
+   * @returns {Promise<{key: any, item: Object|undefined, done: boolean}>} The last observed item and whether
+   *   `isDone` accepted it
+   */
+  async pollItem(keyOrItem, isDone, { timeout = 1500, interval = 100 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const { key, item } = await this.matchItem(keyOrItem);
+      if (isDone(item)) {
+        return { key, item, done: true };
+      }
+      if (Date.now() + interval > deadline) {
+        return { key, item, done: false };
+      }
+      await sleep(interval);
+    }
+  }
+
+  /**
+   * A chai plugin adding the asynchronous `item` assertion for fixtures:
+   * `await expect(fixture).to.contain.item(keyOrItem, expected)` and `await expect(fixture).not.to.contain.item(key)`.
+   * With expected attributes, the negated form asserts that the item is missing or does not match them.
+   * @param {Object} chai - The chai instance passed to `chai.use()`
+   * @param {Object} utils - chai's plugin utilities
+   */
+  static chaiPlugin(chai, utils) {
+    chai.Assertion.addMethod('item', function(keyOrItem, expected) {
+      const fixture = this._obj;
+      if (!utils.flag(this, 'negate')) {
+        return fixture.expectItem(keyOrItem, expected);
+      }
+      if (!expected) {
+        return fixture.expectNoItem(keyOrItem);
+      }
+      return fixture.matchItem(keyOrItem, expected).then(({ key, item, diffs }) => {
+        if (item && !diffs.length) {
+          throw new assert.AssertionError({
+            message: `Expected item ${inspect(key)} in ${fixture.tableName} not to match ${inspect(expected)}`,
+            actual: item,
+            expected,
+            operator: 'expectItem'
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Registers existing items for cleanup, e.g. items written by the code under test.  Keys that do not exist in the
+   * table, or are already tracked, are skipped.
+   * @param {any|Array<any>} keysOrItems - Keys or full items to adopt
+   * @returns {Promise<Array<any>>} The adopted items
+   */
+  async adopt(keysOrItems) {
+    const results = await Promise.all([].concat(keysOrItems).map(keyOrItem => this.matchItem(keyOrItem)));
+    return this.track(results.map(({ item }) => item).filter(Boolean));
+  }
+
+  /**
+   * Registers every item of a partition for cleanup (see `queryAll()`), except items that are already tracked
+   * @param {any} partitionValue - Value of the partition key
+   * @param {QueryOptions} [options] - Sort key condition, index and filter
+   * @returns {Promise<Array<any>>} The adopted items
+   */
+  async adoptQuery(partitionValue, options) {
+    return this.track(await this.queryAll(partitionValue, options));
+  }
+
+  /**
+   * Records the keys of every item currently in the table, so `adoptNew()` can find the items added afterwards
+   * @returns {Promise<Set<string>>} The recorded key set
+   */
+  async captureKeys() {
+    const { hashKey, rangeKey } = await this.loadKeySchema();
+    const placeholders = expressionPlaceholders();
+    const projection = [hashKey, rangeKey].filter(Boolean).map(attribute => placeholders.name(attribute));
+    const keys = await readAllPages(this.db, 'scan', placeholders.addTo({
+      TableName: this.tableName,
+      ProjectionExpression: projection.join(', '),
+      ConsistentRead: true
+    }));
+    this.capturedKeys = new Set(keys.map(key => keyId(this.getKey(key))));
+    return this.capturedKeys;
+  }
+
+  /**
+   * Registers every item whose key is not in a key set captured before the test for cleanup
+   * @param {Set<string>} [keys] - The key set from `captureKeys()`, defaults to the last one captured
+   * @returns {Promise<Array<any>>} The adopted items
+   */
+  async adoptNew(keys = this.capturedKeys) {
+    if (!keys) {
+      throw new Error(`No keys of table ${this.tableName} were captured, call captureKeys() first`);
+    }
+    await this.loadKeySchema();
+    const items = await this.scanAll();
+    return this.track(items.filter(item => !keys.has(keyId(this.getKey(item)))));
+  }
+
+  /**
+   * Adds items to the cleanup tracking list unless their key is already tracked
+   * @param {Array<any>} items - The items to track
+   * @returns {Promise<Array<any>>} The newly tracked items
+   */
+  async track(items) {
+    await this.loadKeySchema();
+    const tracked = new Set(this.data.map(item => keyId(this.getKey(item))));
+    return items.filter(item => {
+      const id = keyId(this.getKey(item));
+      if (tracked.has(id)) {
+        return false;
+      }
+      tracked.add(id);
+      this.addData(item);
+      return true;
+    });
+  }
+
+  /**
+   * Removes all tracked items.  Uses `batchCleanup()` when the fixture was created with `cleanupMode: 'batch'`,
+   * otherwise each item is removed with `remove()`.  Items that replaced an existing item with `insert()` are not
+   * removed, the replaced item is put back instead.
+   * @returns {Promise<any>} Promise that resolves when the tracked items are removed
+   */
+  async cleanup() {
+    if (this.cleanupMode === 'batch') {
+      return this.batchCleanup();
+    }
+    if (this.data.length) {
+      await this.loadKeySchema();
+    }
+
+    const restored = new Set();
+    for (const item of this.data) {
+      const id = keyId(this.getKey(item));
+      const previous = this.previousItems.get(id);
+      if (previous && !restored.has(id)) {
+        await this.assertWritable();
+        await this.db.put({ TableName: this.tableName, Item: previous });
+        restored.add(id);
+      }
+    }
+    this.data = this.data.filter(item => !restored.has(keyId(this.getKey(item))));
+
+    const result = await super.cleanup();
+    this.previousItems.clear();
+    return result;
+  }
+
+  /**
+   * Removes all tracked items with BatchWriteItem, 25 keys per request.  Keys are derived with `getKey()`.
+   * Items that replaced an existing item with `insert()` are not deleted, the replaced item is put back instead.
+   * Unprocessed keys are retried with exponential backoff, and only items that were actually deleted are
+   * removed from the tracking list.  Keys that are still unprocessed afterwards cause an error.
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed keys
+   * @returns {Promise<void>} Promise that resolves when the tracked items are removed
+   */
+  async batchCleanup(options) {
+    await this.assertWritable();
+    await this.loadKeySchema();
+    // the same key may be tracked more than once, but a batch must not contain duplicate keys
+    const keys = new Map();
+    this.data.forEach(item => {
+      const key = this.getKey(item);
+      keys.set(keyId(key), key);
+    });
+
+    // tracking is updated per batch, so a failing request leaves the remaining items tracked
+    const failedKeys = new Set();
+    for (const batch of chunk([...keys.values()], BATCH_WRITE_LIMIT)) {
+      const requests = batch.map(Key => {
+        const previous = this.previousItems.get(keyId(Key));
+        return previous ? { PutRequest: { Item: previous } } : { DeleteRequest: { Key } };
+      });
+      const unprocessed = await batchWrite(this.db, this.tableName, requests, options);
+      unprocessed.forEach(({ DeleteRequest, PutRequest }) => failedKeys.add(keyId(DeleteRequest?.Key || this.getKey(PutRequest.Item))));
+
+      const deleted = new Set(batch.map(keyId).filter(id => !failedKeys.has(id)));
+      this.data = this.data.filter(item => !deleted.has(keyId(this.getKey(item))));
+      deleted.forEach(id => this.previousItems.delete(id));
+    }
+
+    if (failedKeys.size) {
+      throw new Error(`${failedKeys.size} items could not be deleted from ${this.tableName}`);
+    }
+  }
+
+  /**
+   * Captures the full contents of the table with a paginated, consistent scan.  The snapshot is kept on the
+   * fixture for `restore()`.
+   * @returns {Promise<Array<any>>} The items in the table
+   */
+  async snapshot() {
+    await this.loadKeySchema();
+    this.lastSnapshot = await readAllPages(this.db, 'scan', { TableName: this.tableName, ConsistentRead: true });
+    return this.lastSnapshot;
+  }
+
+  /**
+   * Puts the table back to the state of a snapshot: items added since are deleted, and modified or deleted
+   * items are put back.  Items that did not change are left alone.
+   * @param {Array<any>} [items] - The snapshot to restore, defaults to the last one taken with `snapshot()`
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed writes
+   * @returns {Promise<void>} Promise that resolves when the table is restored
+   */
+  async restore(items = this.lastSnapshot, options) {
+    if (!items) {
+      throw new Error(`No snapshot of table ${this.tableName} to restore`);
+    }
+    await this.assertWritable();
+    await this.loadKeySchema();
+
+    const current = new Map();
+    (await readAllPages(this.db, 'scan', { TableName: this.tableName, ConsistentRead: true }))
+      .forEach(item => current.set(keyId(this.getKey(item)), item));
+
+    const requests = [];
+    items.forEach(item => {
+      const id = keyId(this.getKey(item));
+      if (!isEqual(current.get(id), item)) {
+        requests.push({ PutRequest: { Item: item } });
+      }
+      current.delete(id);
+    });
+    current.forEach(item => requests.push({ DeleteRequest: { Key: this.getKey(item) } }));
+
+    const unprocessed = await batchWriteAll(this.db, this.tableName, requests, options);
+    if (unprocessed.length) {
+      throw new Error(`${unprocessed.length} items could not be restored in ${this.tableName}`);
+    }
+  }
+
+  /**
+   * Deletes every item in the table.  The table is scanned page by page (optionally in parallel segments), and the
+   * keys of each page are deleted with BatchWriteItem.  To prevent wiping a real table by accident this refuses to
+   * run unless the endpoint is local or the table name is allowed by `allowTables`.  A table allowed by `allowTables`
+   * needs no `safety` option to be purged on a non-local endpoint, but `safety.endpoints`, `regions`, `accounts` and
+   * `tables` still apply when configured.
+   * @param {PurgeOptions} [options] - Purge options
+   * @returns {Promise<number>} The number of deleted items
+   * @throws {Error} When `segments` is not a positive integer
+   */
+  async purge({ segments = 1, allowTables, ...batchOptions } = {}) {
+    if (!Number.isInteger(segments) || segments < 1) {
+      throw new Error(`segments must be an integer of at least 1, got ${inspect(segments)}`);
+    }
+    const allowed = matchesName(this.tableName, allowTables);
+    if (!allowed && !isLocalEndpoint(await resolveConfig(this.endpoint))) {
+      throw new Error(`Refusing to purge table ${this.tableName}: the endpoint is not local and the table is not in allowTables`);
+    }
+    await (allowed ? checkSafety(this.client, this.endpoint, this.tableName, this.safety, true) : this.assertWritable());
+
+    const { hashKey, rangeKey } = await this.loadKeySchema();
+    const keyNames = rangeKey ? [hashKey, rangeKey] : [hashKey];
+    const input = {
+      TableName: this.tableName,
+      ProjectionExpression: keyNames.map((_, i) => `#k${i}`).join(', '),
+      ExpressionAttributeNames: Object.fromEntries(keyNames.map((name, i) => [`#k${i}`, name]))
+    };
+
+    let deleted = 0;
+    const purgeSegment = (segment) => readPages(
+      this.db,
+      'scan',
+      segments > 1 ? { ...input, Segment: segment, TotalSegments: segments } : input,
+      async (keys) => {
+        const unprocessed = await batchWriteAll(this.db, this.tableName, keys.map(Key => ({ DeleteRequest: { Key } })), batchOptions);
+        if (unprocessed.length) {
+          throw new Error(`${unprocessed.length} items could not be deleted from ${this.tableName}`);
+        }
+        deleted += keys.length;
+      }
+    );
+    await Promise.all(Array.from({ length: segments }, (_, segment) => purgeSegment(segment)));
+
+    this.data = [];
+    this.previousItems.clear();
+    return deleted;
+  }
+
+  /**
+   * Deletes every item in the table that was marked by a test run (see the `marker` option), e.g. to reclaim the
+   * items of a run that crashed before `cleanup()`.  Deleted items are removed from the tracking list.
+   * @param {string} [runId] - The run whose items to delete, defaults to the run id of this fixture's marker
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed deletes
+   * @returns {Promise<number>} The number of deleted items
+   */
+  cleanupRun(runId = this.marker?.runId ?? RUN_ID, options) {
+    return this.sweep('runId', '=', runId, options);
+  }
+
+  /**
+   * Deletes every item in the table that was marked by a test run (see the `marker` option) longer ago than
+   * `duration`, whichever run wrote it.  Deleted items are removed from the tracking list.
+   * @param {number|string} duration - Milliseconds, or a number with a unit (`ms`, `s`, `m`, `h` or `d`), e.g. `'2h'`
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed deletes
+   * @returns {Promise<number>} The number of deleted items
+   */
+  cleanupOlderThan(duration, options) {
+    return this.sweep('createdAt', '<', Date.now() - toMilliseconds(duration), options);
+  }
+
+  /**
+   * Scans the table for items whose marker matches a condition and deletes them with BatchWriteItem
+   * @param {string} field - The marker field to compare, `runId` or `createdAt`
+   * @param {string} operator - The comparison operator
+   * @param {any} value - The value to compare the field with
+   * @param {BatchOptions} [options] - Retry behaviour for unprocessed deletes
+   * @returns {Promise<number>} The number of deleted items
+   */
+  async sweep(field, operator, value, options) {
+    await this.assertWritable();
+    const { hashKey, rangeKey } = await this.loadKeySchema();
+    const placeholders = expressionPlaceholders();
+    const marker = `${placeholders.name(this.marker?.attribute ?? MARKER_ATTRIBUTE)}.${placeholders.name(field)}`;
+    const input = placeholders.addTo({
+      TableName: this.tableName,
+      ProjectionExpression: [hashKey, rangeKey].filter(Boolean).map(name => placeholders.name(name)).join(', '),
+      FilterExpression: `${marker} ${operator} ${placeholders.value(value)}`,
+      ConsistentRead: true
+    });
+
+    const deleted = new Set();
+    await readPages(this.db, 'scan', input, async (keys) => {
+      const unprocessed = await batchWriteAll(this.db, this.tableName, keys.map(Key => ({ DeleteRequest: { Key } })), options);
+      if (unprocessed.length) {
+        throw new Error(`${unprocessed.length} items could not be deleted from ${this.tableName}`);
+      }
+      keys.forEach(key => deleted.add(keyId(key)));
+    });
+
+    this.data = this.data.filter(item => !deleted.has(keyId(this.getKey(item))));
+    return deleted.size;
+  }
+
+  /**
+   * Discovers the table's key attributes with DescribeTable.  The result is cached on the instance, so the
+   * table is only described once, even by concurrent calls, and nothing is requested if a key schema was passed to
+   * the constructor.
+   * @returns {Promise<KeyNames>} The table's key names
+   */
+  async loadKeySchema() {
+    if (!this.keySchema) {
+      const { Table } = await this.describeTable();
+      this.keySchema = this.keySchema || toKeyNames(Table.KeySchema);
+    }
+    return this.keySchema;
+  }
+
+  /**
+   * Sends DescribeTable for the table.  Concurrent callers share the request in flight, which is forgotten once it
+   * settles, so a failed request is retried by the next caller.
+   * @returns {Promise<any>} The DescribeTable response
+   */
+  describeTable() {
+    if (!this.describeRequest) {
+      this.describeRequest = this.client.send(new DescribeTableCommand({ TableName: this.tableName }))
+        .finally(() => {
+          this.describeRequest = undefined;
+        });
+    }
+    return this.describeRequest;
+  }
+
+  /**
+   * Finds the key attributes of a secondary index, from the table definition the fixture created the table with or
+   * with DescribeTable.  The result is cached on the instance.
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<KeyNames>} The index's key names
+   * @throws {Error} When the table has no such index
+   */
+  async loadIndexKeySchema(indexName) {
+    if (!this.indexes[indexName]) {
+      const { Table } = await this.describeTable();
+      this.addIndexes(toTableDefinition(Table));
+    }
+    if (!this.indexes[indexName]) {
+      throw new Error(`Table ${this.tableName} has no index named ${indexName}`);
+    }
+    return this.indexes[indexName].keySchema;
+  }
+
+  /**
+   * Remembers the key attributes of the secondary indexes of a table definition
+   * @param {TableDefinition} definition - The table definition
+   */
+  addIndexes(definition) {
+    const add = (local) => (index) => {
+      this.indexes[index.name] = { keySchema: toKeyNames(index.keySchema), local };
+    };
+    (definition.globalSecondaryIndexes || []).forEach(add(false));
+    (definition.localSecondaryIndexes || []).forEach(add(true));
+  }
+
+  /**
+   * Creates the table and waits until it is ACTIVE.  The table's key schema becomes the fixture's key schema
+   * if it does not have one yet, and TTL is enabled when the fixture has the `ttl` option.  An isolated fixture
+   * without a definition or key schema copies the schema and indexes of the logical table.
+   * @param {TableDefinition} [definition] - The table to create, defaults to the `tableDefinition` option
+   * @param {PollOptions} [pollOptions] - How to wait for the table to become ACTIVE
+   * @returns {Promise<void>} Promise that resolves when the table is ACTIVE
+   */
+  async createTable(definition = this.tableDefinition, pollOptions) {
+    if (!definition && !this.keySchema && this.isolated) {
+      const { Table } = await this.client.send(new DescribeTableCommand({ TableName: this.logicalTableName }));
+      definition = toTableDefinition(Table);
+    }
+
+    const keySchema = definition?.keySchema || this.keySchema;
+    if (!keySchema) {
+      throw new Error(`Cannot create table ${this.tableName} without a key schema`);
+    }
+    const keyNames = toKeyNames(keySchema);
+
+    await this.assertWritable();
+    await this.client.send(new CreateTableCommand(toCreateTableInput(this.tableName, keyNames, definition || {})));
+    this.keySchema = this.keySchema || keyNames;
+    this.addIndexes(definition || {});
+    if (this.isolated) {
+      isolatedFixtures.add(this);
+    }
+    await this.waitForTableActive(pollOptions);
+    if (this.ttl) {
+      await this.enableTtl();
+    }
+  }
+
+  /**
+   * Enables TTL on the table, so DynamoDB deletes items once the time in the TTL attribute has passed
+   * @param {string} [attribute] - The TTL attribute, defaults to the one of the `ttl` option
+   * @returns {Promise<void>} Promise that resolves when TTL is enabled
+   */
+  async enableTtl(attribute = this.ttl?.attribute) {
+    if (!attribute) {
+      throw new Error(`Cannot enable TTL on table ${this.tableName} without a TTL attribute`);
+    }
+    await this.assertWritable();
+    await this.client.send(new UpdateTimeToLiveCommand({
+      TableName: this.tableName,
+      TimeToLiveSpecification: { AttributeName: attribute, Enabled: true }
+    }));
+  }
+
+  /**
+   * Creates the table unless it already exists, and waits until it is ACTIVE
+   * @param {TableDefinition} [definition] - The table to create, defaults to the `tableDefinition` option
+   * @param {PollOptions} [pollOptions] - How to wait for the table to become ACTIVE
+   * @returns {Promise<void>} Promise that resolves when the table is ACTIVE
+   */
+  async ensureTable(definition, pollOptions) {
+    try {
+      await this.createTable(definition, pollOptions);
+    } catch (error) {
+      if (error.name !== 'ResourceInUseException') {
+        throw error;
+      }
+      if (this.isolated) {
+        isolatedFixtures.add(this);
+      }
+      await this.waitForTableActive(pollOptions);
+    }
+  }
+
+  /**
+   * Deletes the table and waits until it is gone.  Does nothing if the table does not exist.
+   * @param {PollOptions} [pollOptions] - How to wait for the table to be deleted
+   * @returns {Promise<void>} Promise that resolves when the table no longer exists
+   */
+  async dropTable(pollOptions) {
+    await this.assertWritable();
+    isolatedFixtures.delete(this);
+    try {
+      await this.client.send(new DeleteTableCommand({ TableName: this.tableName }));
+    } catch (error) {
+      if (error.name !== 'ResourceNotFoundException') {
+        throw error;
+      }
+      return;
+    }
+    await this.pollTable(table => !table, 'be deleted', pollOptions);
+  }
+
+  /**
+   * Drops the tables of all isolated fixtures created in this process.  Call it when the test run finishes,
+   * e.g. from a mocha root `afterAll` hook.
+   * @param {PollOptions} [pollOptions] - How to wait for the tables to be deleted
+   * @returns {Promise<void>} Promise that resolves when all isolated tables are deleted
+   */
+  static async dropIsolatedTables(pollOptions) {
+    await Promise.all([...isolatedFixtures].map(fixture => fixture.dropTable(pollOptions)));
+  }
+
+  /**
+   * Starts DynamoDB Local and waits until it answers ListTables requests.  Requires the `dynamodb-local` package.
+   * Fails as soon as the process exits, instead of waiting for the timeout.
+   *
+   * @example
+   * const local = await DynamoFx.startLocal();
+   * const users = new DynamoFx(local.connConfig, 'users');
+   * // ...
+   * await local.stop();
+   *
+   * @param {LocalOptions} [options] - Where to listen, where to keep the data and how long to wait for it
+   * @returns {Promise<LocalDynamoDB>} Promise resolving to the running DynamoDB Local
+   */
+  static async startLocal({ port, dbPath, args = [], region = 'us-east-1', timeout = 30000, interval = 200 } = {}) {
+    const dynamoDBLocal = loadDynamoDBLocal();
+    const localPort = port || await freePort();
+    // DynamoDB Local runs in its install directory, so a relative path would be resolved against that
+    const dataPath = dbPath ? path.resolve(dbPath) : null;
+    if (dataPath) {
+      await fs.promises.mkdir(dataPath, { recursive: true });
+    }
+
+    // launch() adds the -inMemory or -dbPath flag to the arguments it is given
+    const child = await dynamoDBLocal.launch(localPort, dataPath, [...args], false, true);
+    const endpoint = `http://localhost:${localPort}`;
+    const local = {
+      connConfig: {
+        region,
+        endpoint,
+        credentials: { accessKeyId: 'fakeKey', secretAccessKey: 'fakeSecret' }
+      },
+      endpoint,
+      port: localPort,
+      stop: async () => {
+        await dynamoDBLocal.stop(localPort);
+      }
+    };
+
+    // a process that exits (e.g. without Java, or with its port taken) never becomes ready, so fail right away
+    let onExit;
+    const exited = new Promise((resolve, reject) => {
+      onExit = (code, signal) => {
+        reject(new Error(`DynamoDB Local on port ${localPort} exited with ${code === null ? `signal ${signal}` : `code ${code}`}`));
+      };
+    });
+    child.once('exit', onExit);
+
+    const client = new DynamoDBClient(local.connConfig);
+    const deadline = Date.now() + timeout;
+    let waiting = true;
+    const ready = async () => {
+      while (waiting) {
+        try {
+          await client.send(new ListTablesCommand({ Limit: 1 }));
+          return;
+        } catch (error) {
+          if (Date.now() + interval > deadline) {
+            throw new Error(`DynamoDB Local on port ${localPort} did not become ready within ${timeout}ms: ${error.message}`, { cause: error });
+          }
+        }
+        await sleep(interval);
+      }
+    };
+    try {
+      await Promise.race([ready(), exited]);
+      return local;
+    } catch (error) {
+      await local.stop();
+      throw error;
+    } finally {
+      waiting = false;
+      child.off('exit', onExit);
+      client.destroy();
+    }
+  }
+
+  /**
+   * Waits until the table's status is ACTIVE
+   * @param {PollOptions} [pollOptions] - How long and how often to check
+   * @returns {Promise<void>} Promise that resolves when the table is ACTIVE
+   */
+  waitForTableActive(pollOptions) {
+    return this.pollTable(table => table?.TableStatus === 'ACTIVE', 'become ACTIVE', pollOptions);
+  }
+
+  /**
+   * Describes the table until `isDone` accepts its description
+   * @param {function(Object|undefined): boolean} isDone - Checks the table description, `undefined` if the table does not exist
+   * @param {string} expectation - What the table is waiting for, used in the timeout error
+   * @param {PollOptions} [pollOptions] - How long and how often to check
+   * @returns {Promise<void>} Promise that resolves once `isDone` returns true
+   */
+  async pollTable(isDone, expectation, { timeout = 30000, interval = 500 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      let table;
+      try {
+        ({ Table: table } = await this.client.send(new DescribeTableCommand({ TableName: this.tableName })));
+      } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+          throw error;
+        }
+      }
+
+      if (isDone(table)) {
+        return;
+      }
+      if (Date.now() + interval > deadline) {
+        throw new Error(`Table ${this.tableName} did not ${expectation} within ${timeout}ms`);
+      }
+      await sleep(interval);
+    }
   }
 
   /**
    * Extract the key attributes from a full item object or return the key if already a key.
-   * Override this method if using composite keys or different key structures.
+   * When the table's key schema is known (passed to the constructor or loaded with `loadKeySchema()`, which every
+   * method deriving a key does first), exactly the HASH and RANGE attributes are extracted.  Otherwise
+   * `partitionKey`/`sortKey` or `id` keys are assumed.
    * @param {any} keyOrItem - The key object or full item object
    * @returns {any} The key object for DynamoDB operations
+   * @throws {Error} When the key schema is known and a key attribute is missing from `keyOrItem`
    */
   getKey(keyOrItem) {
+    if (this.keySchema) {
+      const key = {};
+      for (const name of [this.keySchema.hashKey, this.keySchema.rangeKey]) {
+        if (name === undefined) {
+          continue;
+        }
+        if (keyOrItem?.[name] === undefined) {
+          throw new Error(`Key attribute "${name}" is missing from the item for table ${this.tableName}`);
+        }
+        key[name] = keyOrItem[name];
+      }
+      return key;
+    }
+
     // Extract key from full item object
     if (keyOrItem?.partitionKey !== undefined && keyOrItem?.sortKey !== undefined) {
       return {
@@ -79,4 +2583,139 @@ class DynamoFx extends Fx {
   }
 }
 
+/**
+ * Options for a group of fixtures
+ * @typedef {Object} GroupOptions
+ * @property {Object<string, Array<string>>} [dependencies] - Tables each table depends on, keyed by table name,
+ *   e.g. `{ orders: ['users', 'inventory'] }`.  Tables are provisioned after the tables they depend on, and cleaned
+ *   up before them.
+ */
+
+/**
+ * Owns the fixtures of several tables, provisions scenarios spanning them in dependency order, and cleans them
+ * all up in reverse order
+ */
+class FixtureGroup {
+
+  /**
+   * Creates a group of fixtures
+   * @param {Array<DynamoFx>} fixtures - An array of fixtures, looked up by `logicalTableName`
+   * @param {GroupOptions} [options] - Group options
+   * @throws {Error} If two fixtures have the same logical table name, a dependency is unknown or the dependencies
+   *   are circular
+   */
+  constructor(fixtures, { dependencies = {} } = {}) {
+    const byTable = new Map();
+    fixtures.forEach(fixture => {
+      if (byTable.has(fixture.logicalTableName)) {
+        throw new Error(`Table ${fixture.logicalTableName} has more than one fixture in the fixture group`);
+      }
+      byTable.set(fixture.logicalTableName, fixture);
+    });
+    Object.entries(dependencies).forEach(([tableName, dependsOn]) => {
+      const unknown = [tableName, ...dependsOn].find(name => !byTable.has(name));
+      if (unknown) {
+        throw new Error(`Unknown table ${unknown} in the dependencies of the fixture group`);
+      }
+    });
+
+    // depth-first topological sort, keeping the given order where dependencies allow it
+    const ordered = new Map();
+    const visiting = new Set();
+    const visit = (tableName, path) => {
+      if (ordered.has(tableName)) {
+        return;
+      }
+      if (visiting.has(tableName)) {
+        throw new Error(`Circular dependency between tables: ${[...path, tableName].join(' -> ')}`);
+      }
+      visiting.add(tableName);
+      (dependencies[tableName] || []).forEach(dependency => visit(dependency, [...path, tableName]));
+      visiting.delete(tableName);
+      ordered.set(tableName, byTable.get(tableName));
+    };
+    byTable.forEach((fixture, tableName) => visit(tableName, []));
+
+    /** @type {Map<string, DynamoFx>} */
+    this.fixtures = ordered;
+  }
+
+  /**
+   * Gets the fixture of a table
+   * @param {string} tableName - The (logical) table name
+   * @returns {DynamoFx} The fixture
+   * @throws {Error} If the group has no fixture for the table
+   */
+  fixture(tableName) {
+    const fixture = this.fixtures.get(tableName);
+    if (!fixture) {
+      throw new Error(`No fixture for table ${tableName} in the fixture group`);
+    }
+    return fixture;
+  }
+
+  /**
+   * Provisions a scenario, one table at a time in dependency order.  If a table fails, the tables provisioned
+   * before it stay tracked for `cleanup()`.
+   * @param {Object<string, Array<any>>} scenario - The items to provision, keyed by table name
+   * @returns {Promise<Object<string, Array<any>>>} The scenario
+   * @throws {Error} If the scenario names a table the group has no fixture for
+   */
+  async provision(scenario) {
+    Object.keys(scenario).forEach(tableName => this.fixture(tableName));
+
+    for (const [tableName, fixture] of this.fixtures) {
+      if (scenario[tableName]) {
+        await fixture.provision(scenario[tableName]);
+      }
+    }
+    return scenario;
+  }
+
+  /**
+   * Provisions a scenario of up to 100 items in one TransactWriteItems call, so either all tables are seeded or
+   * none.  The transaction is sent through the first fixture's client, so all fixtures must share a client or use
+   * the same endpoint and region.
+   * @param {Object<string, Array<any>>} scenario - The items to provision, keyed by table name
+   * @returns {Promise<Object<string, Array<any>>>} The scenario
+   * @throws {Error} When the fixtures use different endpoints or regions, or with the cancellation reason of each
+   *   failed item when the transaction is cancelled
+   */
+  async transactProvision(scenario) {
+    Object.keys(scenario).forEach(tableName => this.fixture(tableName));
+
+    const entries = [];
+    this.fixtures.forEach((fixture, tableName) => {
+      (scenario[tableName] || []).forEach(item => entries.push({ fixture, item }));
+    });
+    await transactPut(entries);
+    return scenario;
+  }
+
+  /**
+   * Cleans up every fixture in reverse dependency order.  A failing table does not stop the others from being
+   * cleaned up; the failures are thrown together afterwards.
+   * @returns {Promise<void>} Promise that resolves when all tables are cleaned up
+   * @throws {AggregateError} Holding the error of every table that failed
+   */
+  async cleanup() {
+    const errors = [];
+    for (const [tableName, fixture] of [...this.fixtures].reverse()) {
+      try {
+        await fixture.cleanup();
+      } catch (error) {
+        error.message = `${tableName}: ${error.message}`;
+        errors.push(error);
+      }
+    }
+    if (errors.length) {
+      throw new AggregateError(errors, `Cleanup failed for ${errors.length} of ${this.fixtures.size} tables:\n` +
+        errors.map(error => `  ${error.message}`).join('\n'));
+    }
+  }
+}
+
+/** Orchestrates several fixtures, see `FixtureGroup` */
+DynamoFx.Group = FixtureGroup;
+
 module.exports = DynamoFx;
@@ -9,51 +9,34 @@ const {
   DescribeTableCommand
 } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const DynamoFx = require('../../index');
 
 class DynamoDBTestHelper {
   constructor() {
-    this.dynamoProcess = null;
+    this.local = null;
     this.client = null;
     this.docClient = null;
-    this.port = 8000;
-    this.endpoint = `http://localhost:${this.port}`;
+    this.port = null;
+    this.endpoint = null;
   }
 
   /**
    * Start DynamoDB Local process
    */
   async startDynamoDB() {
-    return new Promise((resolve, reject) => {
-      // Use dynamodb-local package
-      const dynamoLocal = require('dynamodb-local');
-
-      dynamoLocal.launch(this.port, null, [], false, true)
-        .then(() => {
-          // Wait a bit for DynamoDB to be ready
-          setTimeout(() => {
-            this.client = new DynamoDBClient({
-              region: 'us-east-1',
-              endpoint: this.endpoint,
-              credentials: {
-                accessKeyId: 'fakeKey',
-                secretAccessKey: 'fakeSecret'
-              }
-            });
-
-            this.docClient = DynamoDBDocumentClient.from(this.client);
-            resolve();
-          }, 2000);
-        })
-        .catch(reject);
-    });
+    this.local = await DynamoFx.startLocal();
+    this.port = this.local.port;
+    this.endpoint = this.local.endpoint;
+    this.client = new DynamoDBClient(this.local.connConfig);
+    this.docClient = DynamoDBDocumentClient.from(this.client);
   }
 
   /**
    * Stop DynamoDB Local process
-  //  */
+   */
   async stopDynamoDB() {
-    const dynamoLocal = require('dynamodb-local');
-    await dynamoLocal.stop(this.port);
+    this.client.destroy();
+    await this.local.stop();
   }
 
   /**
@@ -147,14 +130,7 @@ class DynamoDBTestHelper {
    * Get connection config for aws-sdk v2 (for our DynamoFx class)
    */
   getConnectionConfig() {
-    return {
-      region: 'us-east-1',
-      endpoint: this.endpoint,
-      credentials: {
-        accessKeyId: 'fakeKey',
-        secretAccessKey: 'fakeSecret'
-      }
-    };
+    return { ...this.local.connConfig };
   }
 
   /**
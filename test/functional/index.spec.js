@@ -1,7 +1,12 @@
 'use strict';
 
-const { expect } = require('chai');
-const { GetCommand, ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const { expect } = chai;
+const { DescribeTimeToLiveCommand, DynamoDBClient, ListTablesCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocument, GetCommand, NumberValue, ScanCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
 const DynamoDBTestHelper = require('./dynamodb-helper');
 const DynamoFx = require('../../index');
 
@@ -107,6 +112,87 @@ describe('DynamoFx - Functional Tests', function() {
     });
   });
 
+  describe('client injection', () => {
+    it('should share a client and apply marshalling options', async () => {
+      const client = new DynamoDBClient(dbHelper.getConnectionConfig());
+      const lenientFx = new DynamoFx(client, testTableName, { marshallOptions: { removeUndefinedValues: true } });
+
+      await lenientFx.insert({ id: 'shared-1', optional: undefined });
+      expect(await lenientFx.getItem({ id: 'shared-1' })).to.deep.equal({ id: 'shared-1' });
+
+      const document = DynamoDBDocument.from(new DynamoDBClient(dbHelper.getConnectionConfig()));
+      const sharedFx = new DynamoFx(document, testTableName);
+      await sharedFx.insert({ id: 'shared-2' });
+      expect(await sharedFx.getItem({ id: 'shared-2' })).to.deep.equal({ id: 'shared-2' });
+    });
+
+    it('should share a bare DynamoDBDocumentClient', async () => {
+      const documentClient = dbHelper.getDocumentClient();
+      const sharedFx = new DynamoFx(documentClient, testTableName);
+
+      await sharedFx.provision([{ id: 'shared-3' }]);
+
+      expect(sharedFx.client).to.equal(documentClient);
+      expect(await sharedFx.getItem({ id: 'shared-3' })).to.deep.equal({ id: 'shared-3' });
+      await sharedFx.cleanup();
+      expect(await sharedFx.getItem({ id: 'shared-3' })).to.be.undefined;
+    });
+  });
+
+  describe('insert modes', () => {
+    it('should detect and skip key collisions', async () => {
+      const docClient = dbHelper.getDocumentClient();
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'stale', name: 'left behind' } }));
+      const connConfig = dbHelper.getConnectionConfig();
+
+      const strictFx = new DynamoFx(connConfig, testTableName, { insertMode: 'failIfExists' });
+      try {
+        await strictFx.insert({ id: 'stale', name: 'new' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(`An item with key { id: 'stale' } already exists in table ${testTableName}`);
+      }
+
+      const lenientFx = new DynamoFx(connConfig, testTableName, { insertMode: 'skipIfExists' });
+      await lenientFx.provision([{ id: 'stale', name: 'new' }, { id: 'fresh' }]);
+      expect(lenientFx.data).to.deep.equal([{ id: 'fresh' }]);
+
+      const { Item } = await dynamoFx.get({ id: 'stale' });
+      expect(Item.name).to.equal('left behind');
+    });
+  });
+
+  describe('overwritten items', () => {
+    it('should put shared items back on cleanup', async () => {
+      const docClient = dbHelper.getDocumentClient();
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'reference', name: 'shared' } }));
+
+      await dynamoFx.provision([{ id: 'reference', name: 'changed' }, { id: 'temporary' }]);
+      await dynamoFx.cleanup();
+
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.deep.equal([{ id: 'reference', name: 'shared' }]);
+    });
+
+    it('should put items replaced by batch and transactional provisioning back', async () => {
+      const docClient = dbHelper.getDocumentClient();
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'batch-ref', name: 'shared' } }));
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'tx-ref', name: 'shared' } }));
+
+      await dynamoFx.batchProvision([{ id: 'batch-ref', name: 'changed' }, { id: 'batch-new' }]);
+      await dynamoFx.transactProvision([{ id: 'tx-ref', name: 'changed' }, { id: 'tx-new' }]);
+      await dynamoFx.cleanup();
+
+      const scanResult = await docClient.send(new ScanCommand({ TableName: testTableName }));
+      expect(scanResult.Items.sort((a, b) => a.id.localeCompare(b.id))).to.deep.equal([
+        { id: 'batch-ref', name: 'shared' },
+        { id: 'tx-ref', name: 'shared' }
+      ]);
+    });
+  });
+
   describe('remove operations', () => {
     beforeEach(async () => {
       // Pre-populate with test data
@@ -274,6 +360,41 @@ describe('DynamoFx - Functional Tests', function() {
     });
   });
 
+  describe('item getters', () => {
+    it('should get one or many items', async () => {
+      await dynamoFx.provision([{ id: 'get-1', name: 'one', extra: true }, { id: 'get-2', name: 'two' }]);
+
+      expect(await dynamoFx.getItem({ id: 'get-1' }, { consistentRead: true, projection: ['name'] })).to.deep.equal({ name: 'one' });
+      expect(await dynamoFx.getItem({ id: 'missing' })).to.be.undefined;
+
+      const items = await dynamoFx.getMany([{ id: 'get-2' }, { id: 'missing' }, { id: 'get-1' }], { projection: ['name'] });
+      expect(items).to.deep.equal([{ name: 'two' }, undefined, { name: 'one' }]);
+    });
+  });
+
+  describe('update operations', () => {
+    it('should update an item in place', async () => {
+      await dynamoFx.provision([{ id: 'order-1', status: 'pending', count: 1, history: ['created'], shipping: { city: 'Paris' } }]);
+
+      const updated = await dynamoFx.update({ id: 'order-1' }, {
+        status: 'shipped',
+        count: { $add: 2 },
+        history: { $append: 'shipped' },
+        'shipping.city': 'Berlin'
+      }, { condition: { status: 'pending' } });
+
+      expect(updated).to.deep.equal({ id: 'order-1', status: 'shipped', count: 3, history: ['created', 'shipped'], shipping: { city: 'Berlin' } });
+      expect((await dynamoFx.get({ id: 'order-1' })).Item).to.deep.equal(updated);
+
+      try {
+        await dynamoFx.update({ id: 'order-1' }, { status: 'cancelled' }, { condition: { status: 'pending' } });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(`Item { id: 'order-1' } in table ${testTableName} does not meet the update condition`);
+      }
+    });
+  });
+
   describe('fixture-interface integration', () => {
     const testData = [
       { id: 'fixture-1', name: 'First Fixture', type: 'test' },
@@ -338,6 +459,61 @@ describe('DynamoFx - Functional Tests', function() {
       expect(dynamoFx.data).to.have.lengthOf(0);
     });
 
+    it('should provision many items in batches', async () => {
+      const items = Array.from({ length: 60 }, (_, i) => ({ id: `batch-${i}`, index: i }));
+
+      await dynamoFx.batchProvision(items);
+
+      const docClient = dbHelper.getDocumentClient();
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(60);
+      expect(dynamoFx.data).to.have.lengthOf(60);
+
+      await dynamoFx.cleanup();
+
+      const afterCleanup = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(afterCleanup.Items).to.have.lengthOf(0);
+    });
+
+    it('should cleanup tracked data in batches', async () => {
+      const batchFx = new DynamoFx(dbHelper.getConnectionConfig(), testTableName, { cleanupMode: 'batch' });
+      const items = Array.from({ length: 30 }, (_, i) => ({ id: `batch-cleanup-${i}` }));
+      await batchFx.provision(items);
+
+      await batchFx.cleanup();
+
+      const docClient = dbHelper.getDocumentClient();
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(0);
+      expect(batchFx.data).to.have.lengthOf(0);
+    });
+
+    it('should create items from a factory and clean them up', async () => {
+      dynamoFx.define({ id: (item, n) => `factory-${n}`, type: 'user' }, { traits: { admin: { type: 'admin' } } });
+
+      const items = await dynamoFx.create(3, 'admin');
+
+      const docClient = dbHelper.getDocumentClient();
+      let scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.deep.members(items);
+      expect(scanResult.Items.every(item => item.type === 'admin')).to.equal(true);
+
+      await dynamoFx.cleanup();
+
+      scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(0);
+    });
+
     it('should handle provision with empty array', async () => {
       await dynamoFx.provision([]);
 
@@ -351,6 +527,248 @@ describe('DynamoFx - Functional Tests', function() {
     });
   });
 
+  describe('fixture files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamofx-functional-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should provision and cleanup the records of a multi-table file', async () => {
+      const file = path.join(dir, 'scenario.yaml');
+      fs.writeFileSync(file, `${testTableName}:\n  - id: file-1\n    name: First\n  - id: file-2\nother-table:\n  - id: other\n`);
+
+      await dynamoFx.provisionFromFile(file, { batch: true });
+
+      const docClient = dbHelper.getDocumentClient();
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.deep.include.members([{ id: 'file-1', name: 'First' }, { id: 'file-2' }]);
+      expect(scanResult.Items).to.have.lengthOf(2);
+
+      await dynamoFx.cleanup();
+      expect(dynamoFx.data).to.have.lengthOf(0);
+    });
+
+    it('should export the table to a file that provisions the same items', async () => {
+      const items = [
+        { id: 'export-2', tags: new Set(['a', 'b']), data: Buffer.from('binary'), count: 2 },
+        { id: 'export-1', ratio: 0.5, precise: NumberValue.from('0.12345678901234567890123') },
+        { id: 'other', name: 'not exported' }
+      ];
+      await dynamoFx.provision(items);
+      const file = path.join(dir, 'export.ndjson');
+
+      const exported = await dynamoFx.exportToFile(file, { keyPrefix: 'export-' });
+      expect(exported.map(item => item.id)).to.deep.equal(['export-1', 'export-2']);
+      expect(exported[0].precise.toString()).to.equal('0.12345678901234567890123');
+
+      await dynamoFx.cleanup();
+      await dynamoFx.provisionFromFile(file);
+
+      const docClient = dbHelper.getDocumentClient();
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(2);
+      const reexported = path.join(dir, 'reexport.ndjson');
+      await dynamoFx.exportToFile(reexported);
+      expect(fs.readFileSync(reexported, 'utf8')).to.equal(fs.readFileSync(file, 'utf8'));
+    });
+  });
+
+  describe('assertions', () => {
+    before(() => {
+      chai.use(DynamoFx.chaiPlugin);
+    });
+
+    it('should assert on table state', async () => {
+      await dynamoFx.provision([
+        { id: 'assert-1', status: 'open', profile: { name: 'First' } },
+        { id: 'assert-2', status: 'closed' }
+      ]);
+
+      await dynamoFx.expectItem({ id: 'assert-1' }, { status: 'open', profile: { name: 'First' } });
+      await dynamoFx.expectNoItem({ id: 'missing' });
+      await dynamoFx.expectCount({ status: 'open' }, 1);
+      await expect(dynamoFx).to.contain.item({ id: 'assert-2' }, { status: 'closed' });
+      await expect(dynamoFx).not.to.contain.item({ id: 'missing' });
+
+      try {
+        await dynamoFx.expectItem({ id: 'assert-1' }, { status: 'closed' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include("status: expected 'closed', got 'open'");
+      }
+    });
+  });
+
+  describe('waiters', () => {
+    it('should wait for asynchronous writes and deletes', async () => {
+      setTimeout(() => dynamoFx.insert({ id: 'async-1', status: 'done' }), 200);
+
+      const item = await dynamoFx.waitForItem({ id: 'async-1' }, { status: 'done' }, { timeout: 5000, interval: 50 });
+      expect(item).to.deep.equal({ id: 'async-1', status: 'done' });
+
+      setTimeout(() => dynamoFx.remove({ id: 'async-1' }), 200);
+
+      await dynamoFx.waitForItemGone({ id: 'async-1' }, { timeout: 5000, interval: 50 });
+    });
+  });
+
+  describe('snapshot and restore', () => {
+    it('should put the table back to the snapshot state', async () => {
+      const docClient = dbHelper.getDocumentClient();
+      const seed = [
+        { id: 'seed-1', value: 1 },
+        { id: 'seed-2', value: 2, tags: new Set(['a', 'b']) }
+      ];
+      for (const item of seed) {
+        await docClient.send(new PutCommand({ TableName: testTableName, Item: item }));
+      }
+
+      await dynamoFx.snapshot();
+
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'seed-1', value: 100 } }));
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'unexpected', value: 3 } }));
+      await dynamoFx.remove({ id: 'seed-2' });
+
+      await dynamoFx.restore();
+
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(2);
+      expect(scanResult.Items).to.deep.include.members(seed);
+    });
+  });
+
+  describe('adopt', () => {
+    it('should clean up items written outside the fixture', async () => {
+      const docClient = dbHelper.getDocumentClient();
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'existing' } }));
+      await dynamoFx.captureKeys();
+
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'written-1' } }));
+      await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: 'written-2' } }));
+
+      const adopted = await dynamoFx.adoptNew();
+      expect(adopted).to.have.deep.members([{ id: 'written-1' }, { id: 'written-2' }]);
+
+      await dynamoFx.cleanup();
+
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.deep.equal([{ id: 'existing' }]);
+    });
+  });
+
+  describe('run markers', () => {
+    it('should sweep up the items of a crashed run', async () => {
+      const connConfig = dbHelper.getConnectionConfig();
+      const crashedRun = new DynamoFx(connConfig, testTableName, { marker: { runId: 'crashed-run' } });
+      const otherRun = new DynamoFx(connConfig, testTableName, { marker: { runId: 'other-run' } });
+      await crashedRun.provision([{ id: 'orphan-1' }, { id: 'orphan-2' }]);
+      await otherRun.provision([{ id: 'kept' }]);
+
+      const deleted = await dynamoFx.cleanupRun('crashed-run');
+
+      expect(deleted).to.equal(2);
+      const scanResult = await dbHelper.getDocumentClient().send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items.map(item => item.id)).to.deep.equal(['kept']);
+      expect(await dynamoFx.cleanupOlderThan('1h')).to.equal(0);
+      expect(await dynamoFx.cleanupOlderThan(0)).to.equal(1);
+    });
+  });
+
+  describe('safety', () => {
+    it('should refuse to write to tables outside the allowed names', async () => {
+      const guardedFx = new DynamoFx(dbHelper.getConnectionConfig(), testTableName, { safety: { tables: /^allowed-/ } });
+
+      try {
+        await guardedFx.insert({ id: 'guarded' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(/^Refusing to write to table test-fixture-table: the table name is not in safety.tables/);
+      }
+      const result = await dynamoFx.get({ id: 'guarded' });
+      expect(result.Item).to.be.undefined;
+    });
+  });
+
+  describe('fixture groups', () => {
+    it('should provision and clean up a scenario across tables', async () => {
+      await dbHelper.createTable('group-users');
+      await dbHelper.createTable('group-orders');
+      const connConfig = dbHelper.getConnectionConfig();
+      const users = new DynamoFx(connConfig, 'group-users');
+      const orders = new DynamoFx(connConfig, 'group-orders');
+      const group = new DynamoFx.Group([orders, users], { dependencies: { 'group-orders': ['group-users'] } });
+
+      await group.provision({
+        'group-users': [{ id: 'user-1' }],
+        'group-orders': [{ id: 'order-1', userId: 'user-1' }, { id: 'order-2', userId: 'user-1' }]
+      });
+      expect((await orders.get({ id: 'order-2' })).Item).to.deep.equal({ id: 'order-2', userId: 'user-1' });
+
+      await group.cleanup();
+
+      const docClient = dbHelper.getDocumentClient();
+      for (const TableName of ['group-users', 'group-orders']) {
+        const scanResult = await docClient.send(new ScanCommand({ TableName }));
+        expect(scanResult.Items).to.have.lengthOf(0);
+      }
+    });
+  });
+
+  describe('transactional provisioning', () => {
+    it('should write every table or none', async () => {
+      await dbHelper.createTable('tx-users');
+      const connConfig = dbHelper.getConnectionConfig();
+      const users = new DynamoFx(connConfig, 'tx-users');
+      const missing = new DynamoFx(connConfig, 'tx-missing');
+      const group = new DynamoFx.Group([users, missing]);
+
+      try {
+        await group.transactProvision({ 'tx-users': [{ id: 'user-1' }], 'tx-missing': [{ id: 'x' }] });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.name).to.equal('ResourceNotFoundException');
+      }
+      expect((await users.get({ id: 'user-1' })).Item).to.be.undefined;
+      expect(users.data).to.have.lengthOf(0);
+
+      await users.transactProvision([{ id: 'user-1' }, { id: 'user-2' }]);
+      expect((await users.get({ id: 'user-2' })).Item).to.deep.equal({ id: 'user-2' });
+      expect(users.data).to.have.lengthOf(2);
+    });
+  });
+
+  describe('purge', () => {
+    it('should delete every item in the table', async () => {
+      const docClient = dbHelper.getDocumentClient();
+      for (let i = 0; i < 40; i++) {
+        await docClient.send(new PutCommand({ TableName: testTableName, Item: { id: `purge-${i}` } }));
+      }
+
+      const deleted = await dynamoFx.purge({ segments: 2 });
+
+      expect(deleted).to.equal(40);
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: testTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(0);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle DynamoDB errors during insert', async () => {
       // Create DynamoFx with invalid table name
@@ -522,6 +940,171 @@ describe('DynamoFx - Functional Tests', function() {
     });
   });
 
+  describe('key schema discovery', () => {
+    const customKeyTableName = 'custom-key-test-table';
+
+    beforeEach(async () => {
+      await dbHelper.createTable(
+        customKeyTableName,
+        [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        [
+          { AttributeName: 'userId', AttributeType: 'S' },
+          { AttributeName: 'createdAt', AttributeType: 'N' }
+        ]
+      );
+
+      dynamoFx = new DynamoFx(dbHelper.getConnectionConfig(), customKeyTableName);
+    });
+
+    it('should discover the key schema from the table', async () => {
+      const keySchema = await dynamoFx.loadKeySchema();
+
+      expect(keySchema).to.deep.equal({ hashKey: 'userId', rangeKey: 'createdAt' });
+    });
+
+    it('should get and remove full items using the discovered key', async () => {
+      const item = { userId: 'user-1', createdAt: 1700000000, name: 'Test User' };
+      await dynamoFx.loadKeySchema();
+      await dynamoFx.provision([item]);
+
+      const result = await dynamoFx.get(item);
+      expect(result.Item).to.deep.equal(item);
+
+      await dynamoFx.cleanup();
+
+      const docClient = dbHelper.getDocumentClient();
+      const scanResult = await docClient.send(new ScanCommand({
+        TableName: customKeyTableName
+      }));
+      expect(scanResult.Items).to.have.lengthOf(0);
+    });
+  });
+
+  describe('table lifecycle', () => {
+    const lifecycleTableName = 'lifecycle-test-table';
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx(dbHelper.getConnectionConfig(), lifecycleTableName, {
+        tableDefinition: {
+          keySchema: { hashKey: 'userId', rangeKey: 'createdAt' },
+          attributeTypes: { createdAt: 'N' },
+          globalSecondaryIndexes: [{ name: 'byEmail', keySchema: { hashKey: 'email' } }]
+        }
+      });
+    });
+
+    it('should create, ensure and drop a table', async () => {
+      await dynamoFx.createTable();
+      await dynamoFx.ensureTable();
+
+      const item = { userId: 'user-1', createdAt: 1, email: 'user@example.com' };
+      await dynamoFx.insert(item);
+      const result = await dynamoFx.get(item);
+      expect(result.Item).to.deep.equal(item);
+
+      await dynamoFx.dropTable();
+
+      try {
+        await dynamoFx.get(item);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.name).to.equal('ResourceNotFoundException');
+      }
+    });
+
+    it('should enable TTL and stamp inserted items', async () => {
+      dynamoFx = new DynamoFx(dbHelper.getConnectionConfig(), lifecycleTableName, {
+        tableDefinition: dynamoFx.tableDefinition,
+        ttl: { attribute: 'ttl', minutes: 10 }
+      });
+      await dynamoFx.createTable();
+
+      const now = Math.floor(Date.now() / 1000);
+      await dynamoFx.insert({ userId: 'user-1', createdAt: 1 });
+
+      const { Item } = await dynamoFx.get({ userId: 'user-1', createdAt: 1 });
+      expect(Item.ttl).to.be.within(now + 600, now + 601);
+      const { TimeToLiveDescription } = await dynamoFx.client.send(new DescribeTimeToLiveCommand({
+        TableName: lifecycleTableName
+      }));
+      expect(TimeToLiveDescription).to.deep.include({ AttributeName: 'ttl', TimeToLiveStatus: 'ENABLED' });
+
+      await dynamoFx.dropTable();
+    });
+
+    it('should query the table and its indexes across pages', async () => {
+      await dynamoFx.createTable();
+      const items = Array.from({ length: 30 }, (_, i) => ({
+        userId: i % 2 ? 'odd' : 'even',
+        createdAt: i,
+        email: `user-${i % 3}@example.com`,
+        // large attributes force several pages
+        padding: 'x'.repeat(100000)
+      }));
+      await dynamoFx.batchProvision(items);
+
+      const even = await dynamoFx.queryAll('even', { sortKeyCondition: { between: [4, 12] } });
+      expect(even.map(item => item.createdAt)).to.deep.equal([4, 6, 8, 10, 12]);
+
+      const byEmail = await dynamoFx.queryAll('user-0@example.com', { indexName: 'byEmail' });
+      expect(byEmail).to.have.lengthOf(10);
+
+      const scanned = await dynamoFx.scanAll({ filter: { createdAt: { lt: 10 }, userId: 'odd' } });
+      expect(scanned.map(item => item.createdAt).sort((a, b) => a - b)).to.deep.equal([1, 3, 5, 7, 9]);
+    });
+
+    it('should ignore dropping a missing table', async () => {
+      await dynamoFx.dropTable();
+    });
+
+    it('should create an isolated copy of an existing table', async () => {
+      const isolatedFx = new DynamoFx(dbHelper.getConnectionConfig(), testTableName, { isolate: { runId: 'functional' } });
+      expect(isolatedFx.tableName).to.equal(`${testTableName}-functional`);
+
+      await isolatedFx.createTable();
+      await isolatedFx.provision([{ id: 'isolated-1' }]);
+
+      const docClient = dbHelper.getDocumentClient();
+      const sharedScan = await docClient.send(new ScanCommand({ TableName: testTableName }));
+      expect(sharedScan.Items).to.have.lengthOf(0);
+      const isolatedScan = await docClient.send(new ScanCommand({ TableName: isolatedFx.tableName }));
+      expect(isolatedScan.Items).to.deep.equal([{ id: 'isolated-1' }]);
+
+      await DynamoFx.dropIsolatedTables();
+
+      const tables = await dbHelper.client.send(new ListTablesCommand({}));
+      expect(tables.TableNames).to.not.include(isolatedFx.tableName);
+    });
+  });
+
+  describe('local DynamoDB', () => {
+    it('should keep on-disk data across restarts', async () => {
+      const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamofx-local-'));
+
+      try {
+        let local = await DynamoFx.startLocal({ dbPath });
+        const fixture = new DynamoFx(local.connConfig, 'persisted-table');
+        await fixture.createTable({ keySchema: { hashKey: 'id' } });
+        await fixture.insert({ id: 'kept' });
+        await local.stop();
+
+        local = await DynamoFx.startLocal({ dbPath });
+        try {
+          const restarted = new DynamoFx(local.connConfig, 'persisted-table');
+          expect(await restarted.getItem({ id: 'kept' })).to.deep.equal({ id: 'kept' });
+          expect(local.port).to.not.equal(dbHelper.port);
+        } finally {
+          await local.stop();
+        }
+      } finally {
+        fs.rmSync(dbPath, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('concurrent operations', () => {
     it('should handle concurrent inserts', async () => {
       const concurrentItems = Array.from({ length: 10 }, (_, i) => ({
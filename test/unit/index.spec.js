@@ -2,16 +2,32 @@
 
 const chai = require('chai');
 const { expect } = chai;
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
 const Fixture = require("fixture-interface");
 const proxyquire = require('proxyquire').noCallThru();
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocument, NumberValue } = require('@aws-sdk/lib-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
 
 chai.use(sinonChai);
 
+// Stand-in for an AWS SDK command class that records its input
+const mockCommand = (name) => class {
+  constructor(input) {
+    this.name = name;
+    this.input = input;
+  }
+};
+
 describe('DynamoFx', () => {
   let DynamoFx;
   let mockDocumentClient;
+  let mockBaseClient;
   let mockDynamoDBClient;
   let mockDynamoDBDocument;
   let sandbox;
@@ -23,24 +39,40 @@ describe('DynamoFx', () => {
     mockDocumentClient = {
       put: sandbox.stub(),
       delete: sandbox.stub(),
-      get: sandbox.stub()
+      get: sandbox.stub(),
+      batchWrite: sandbox.stub().resolves({}),
+      scan: sandbox.stub().resolves({ Items: [] }),
+      query: sandbox.stub().resolves({ Items: [] }),
+      transactWrite: sandbox.stub().resolves({}),
+      update: sandbox.stub().resolves({ Attributes: {} }),
+      batchGet: sandbox.stub().resolves({ Responses: {} })
     };
 
-    // Mock DynamoDBClient
-    mockDynamoDBClient = sandbox.stub();
+    // Mock DynamoDBClient, describing a table keyed by `id` unless a test says otherwise
+    mockBaseClient = {
+      send: sandbox.stub().resolves({ Table: { KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] } }),
+      destroy: sandbox.stub()
+    };
+    mockDynamoDBClient = sandbox.stub().returns(mockBaseClient);
 
     // Mock DynamoDBDocument
-    mockDynamoDBDocument = {
-      from: sandbox.stub().returns(mockDocumentClient)
-    };
+    mockDynamoDBDocument = class {};
+    mockDynamoDBDocument.from = sandbox.stub().returns(mockDocumentClient);
 
     // Load DynamoFx with mocked dependencies
     DynamoFx = proxyquire('../../index.js', {
       '@aws-sdk/client-dynamodb': {
-        DynamoDBClient: mockDynamoDBClient
+        DynamoDBClient: mockDynamoDBClient,
+        CreateTableCommand: mockCommand('CreateTableCommand'),
+        DeleteTableCommand: mockCommand('DeleteTableCommand'),
+        DescribeTableCommand: mockCommand('DescribeTableCommand'),
+        ListTablesCommand: mockCommand('ListTablesCommand'),
+        ScanCommand: mockCommand('ScanCommand'),
+        UpdateTimeToLiveCommand: mockCommand('UpdateTimeToLiveCommand')
       },
       '@aws-sdk/lib-dynamodb': {
-        DynamoDBDocument: mockDynamoDBDocument
+        DynamoDBDocument: mockDynamoDBDocument,
+        NumberValue
       }
     });
   });
@@ -51,7 +83,7 @@ describe('DynamoFx', () => {
 
   describe('constructor', () => {
     it('should call parent constructor', () => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
 
       const dyanmoFx = new DynamoFx(connConfig, tableName);
@@ -60,7 +92,7 @@ describe('DynamoFx', () => {
     });
 
     it('should store table name', () => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
 
       const instance = new DynamoFx(connConfig, tableName);
@@ -84,7 +116,7 @@ describe('DynamoFx', () => {
     });
 
     it('should create DynamoDBDocument from base client', () => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
 
       new DynamoFx(connConfig, tableName);
@@ -93,7 +125,7 @@ describe('DynamoFx', () => {
     });
 
     it('should store DynamoDBDocument instance', () => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
 
       const instance = new DynamoFx(connConfig, tableName);
@@ -101,6 +133,89 @@ describe('DynamoFx', () => {
       expect(instance.db).to.equal(mockDocumentClient);
     });
 
+    it('should pass marshalling options to the document client', () => {
+      const marshallOptions = { removeUndefinedValues: true, convertClassInstanceToMap: true };
+      const unmarshallOptions = { wrapNumbers: true };
+
+      new DynamoFx({ region: 'us-east-1' }, 'test-table', { marshallOptions, unmarshallOptions });
+
+      expect(mockDynamoDBDocument.from).to.have.been.calledOnceWith(mockBaseClient, { marshallOptions, unmarshallOptions });
+    });
+
+    it('should share an existing DynamoDBClient', async () => {
+      const endpoint = sandbox.stub().resolves({ hostname: 'localhost', port: 8000 });
+      const sharedClient = { config: { endpoint }, send: mockBaseClient.send };
+
+      const instance = new DynamoFx(sharedClient, 'test-table', { marshallOptions: { removeUndefinedValues: true } });
+      await instance.insert({ id: '1' });
+
+      expect(mockDynamoDBClient).to.not.have.been.called;
+      expect(instance.client).to.equal(sharedClient);
+      expect(mockDynamoDBDocument.from).to.have.been.calledOnceWith(
+        { config: { endpoint }, middlewareStack: undefined },
+        { marshallOptions: { removeUndefinedValues: true }, unmarshallOptions: undefined }
+      );
+      expect(mockDynamoDBDocument.from.firstCall.args[0].config).to.not.equal(sharedClient.config);
+      expect(endpoint).to.have.been.calledOnce;
+    });
+
+    it('should not change the marshalling options of a shared client', () => {
+      const RealFx = proxyquire('../../index.js', {});
+      const client = new DynamoDBClient({ region: 'us-east-1', endpoint: 'http://localhost:8000' });
+      const appDocument = DynamoDBDocument.from(client);
+
+      const instance = new RealFx(client, 'users', { marshallOptions: { removeUndefinedValues: true } });
+
+      expect(client.config.translateConfig).to.be.undefined;
+      expect(appDocument.config.translateConfig).to.be.undefined;
+      expect(instance.db.config.translateConfig).to.deep.equal({ marshallOptions: { removeUndefinedValues: true }, unmarshallOptions: undefined });
+      client.destroy();
+    });
+
+    it('should share an existing DynamoDBDocument', async () => {
+      const sharedDocument = {
+        config: { endpoint: async () => ({ hostname: 'remote.example.com' }) },
+        send: sandbox.stub(),
+        put: sandbox.stub().resolves({})
+      };
+
+      const instance = new DynamoFx(sharedDocument, 'test-table');
+
+      expect(mockDynamoDBClient).to.not.have.been.called;
+      expect(mockDynamoDBDocument.from).to.not.have.been.called;
+      expect(instance.db).to.equal(sharedDocument);
+      expect(instance.client).to.equal(sharedDocument);
+      try {
+        await instance.insert({ id: '1' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(/^Refusing to write to table test-table: endpoint remote.example.com is not local/);
+      }
+    });
+
+    it('should refuse marshalling options for an existing DynamoDBDocument', () => {
+      const sharedDocument = { config: {}, send: sandbox.stub(), put: sandbox.stub() };
+
+      expect(() => new DynamoFx(sharedDocument, 'test-table', { unmarshallOptions: { wrapNumbers: true } }))
+        .to.throw('Marshalling options cannot be applied to an existing DynamoDBDocument, configure them on the DynamoDBDocument');
+    });
+
+    it('should wrap an existing DynamoDBDocumentClient and keep its marshalling options', async () => {
+      const endpoint = sandbox.stub().resolves({ hostname: 'localhost', port: 8000 });
+      const translateConfig = { marshallOptions: { convertEmptyValues: true } };
+      const documentClient = { config: { endpoint, translateConfig }, send: mockBaseClient.send };
+
+      const instance = new DynamoFx(documentClient, 'test-table');
+      await instance.insert({ id: '1' });
+
+      expect(mockDynamoDBClient).to.not.have.been.called;
+      expect(instance.client).to.equal(documentClient);
+      expect(instance.db).to.equal(mockDocumentClient);
+      expect(mockDynamoDBDocument.from).to.have.been.calledOnceWith({ config: { endpoint, translateConfig }, middlewareStack: undefined }, translateConfig);
+      expect(instance.endpoint).to.equal(endpoint);
+      expect(mockDocumentClient.put).to.have.been.calledOnce;
+    });
+
     it('should handle empty connection config', () => {
       const connConfig = {};
       const tableName = 'test-table';
@@ -117,7 +232,7 @@ describe('DynamoFx', () => {
     let dynamoFx;
 
     beforeEach(() => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
       dynamoFx = new DynamoFx(connConfig, tableName);
     });
@@ -129,18 +244,19 @@ describe('DynamoFx', () => {
 
       expect(mockDocumentClient.put).to.have.been.calledOnceWith({
         TableName: 'test-table',
-        Item: item
+        Item: item,
+        ReturnValues: 'ALL_OLD'
       });
     });
 
-    it('should return the promise from put', () => {
+    it('should resolve with the result of put', async () => {
       const item = { id: '456', data: 'test' };
-      const expectedPromise = Promise.resolve({ ConsumedCapacity: {} });
-      mockDocumentClient.put.returns(expectedPromise);
+      const expectedResult = { ConsumedCapacity: {} };
+      mockDocumentClient.put.resolves(expectedResult);
 
-      const result = dynamoFx.insert(item);
+      const result = await dynamoFx.insert(item);
 
-      expect(result).to.equal(expectedPromise);
+      expect(result).to.equal(expectedResult);
     });
 
     it('should handle complex item objects', async () => {
@@ -158,7 +274,8 @@ describe('DynamoFx', () => {
 
       expect(mockDocumentClient.put).to.have.been.calledOnceWith({
         TableName: 'test-table',
-        Item: complexItem
+        Item: complexItem,
+        ReturnValues: 'ALL_OLD'
       });
     });
 
@@ -169,12 +286,245 @@ describe('DynamoFx', () => {
       expect(mockDocumentClient.put).to.have.been.calledTwice;
       expect(mockDocumentClient.put.firstCall).to.have.been.calledWith({
         TableName: 'test-table',
-        Item: null
+        Item: null,
+        ReturnValues: 'ALL_OLD'
       });
       expect(mockDocumentClient.put.secondCall).to.have.been.calledWith({
         TableName: 'test-table',
-        Item: undefined
+        Item: undefined,
+        ReturnValues: 'ALL_OLD'
+      });
+    });
+  });
+
+  describe('insert modes', () => {
+    const localConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+    const conditionFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+    it('should only put items whose key does not exist', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'orders', { keySchema: { hashKey: 'customer', rangeKey: 'order' }, insertMode: 'failIfExists' });
+
+      await dynamoFx.insert({ customer: 'c1', order: 'o1' });
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({
+        TableName: 'orders',
+        Item: { customer: 'c1', order: 'o1' },
+        ConditionExpression: 'attribute_not_exists(#n0) AND attribute_not_exists(#n1)',
+        ExpressionAttributeNames: { '#n0': 'customer', '#n1': 'order' },
+        ReturnValues: 'ALL_OLD'
+      });
+    });
+
+    it('should name the key of a colliding item', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' }, insertMode: 'failIfExists' });
+      const failure = conditionFailed();
+      mockDocumentClient.put.rejects(failure);
+
+      try {
+        await dynamoFx.insert({ id: 'user1', name: 'stale' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal("An item with key { id: 'user1' } already exists in table users");
+        expect(error.key).to.deep.equal({ id: 'user1' });
+        expect(error.cause).to.equal(failure);
+      }
+    });
+
+    it('should skip and not track existing items', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' }, insertMode: 'skipIfExists' });
+      mockDocumentClient.put.onFirstCall().rejects(conditionFailed()).onSecondCall().resolves({});
+
+      const items = await dynamoFx.provision([{ id: 'existing' }, { id: 'new' }]);
+
+      expect(items).to.deep.equal([{ id: 'existing' }, { id: 'new' }]);
+      expect(dynamoFx.data).to.deep.equal([{ id: 'new' }]);
+    });
+
+    it('should accept the mode per insert', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' }, insertMode: 'failIfExists' });
+      mockDocumentClient.put.rejects(conditionFailed());
+
+      expect(await dynamoFx.insert({ id: 'user1' }, { mode: 'skipIfExists' })).to.be.undefined;
+      mockDocumentClient.put.resolves({});
+      await dynamoFx.insert({ id: 'user1' }, { mode: 'overwrite' });
+      expect(mockDocumentClient.put.secondCall.args[0]).to.deep.equal({ TableName: 'users', Item: { id: 'user1' }, ReturnValues: 'ALL_OLD' });
+    });
+
+    it('should rethrow other errors when skipping', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' }, insertMode: 'skipIfExists' });
+      mockDocumentClient.put.rejects(new Error('Network error'));
+
+      try {
+        await dynamoFx.insert({ id: 'user1' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Network error');
+      }
+    });
+
+    it('should reject unknown modes', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' } });
+
+      try {
+        await dynamoFx.insert({ id: 'user1' }, { mode: 'upsert' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Unknown insert mode "upsert", expected one of overwrite, failIfExists, skipIfExists');
+      }
+    });
+
+    it('should add the condition to transactions and refuse batches', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' }, insertMode: 'failIfExists' });
+
+      await dynamoFx.transactProvision([{ id: 'user1' }]);
+
+      expect(mockDocumentClient.transactWrite.firstCall.args[0].TransactItems[0].Put.ConditionExpression)
+        .to.equal('attribute_not_exists(#n0)');
+      try {
+        await dynamoFx.batchProvision([{ id: 'user2' }]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot batch provision in failIfExists mode, BatchWriteItem does not support conditions');
+      }
+    });
+  });
+
+  describe('overwritten items', () => {
+    const localConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' } });
+      mockDocumentClient.put.callsFake(async ({ Item }) => (Item.id === 'shared' ? { Attributes: { id: 'shared', name: 'original' } } : {}));
+      mockDocumentClient.batchGet.resolves({ Responses: { users: [{ id: 'shared', name: 'original' }] } });
+    });
+
+    it('should put replaced items back on cleanup and delete new ones', async () => {
+      await dynamoFx.provision([{ id: 'shared', name: 'test' }, { id: 'new' }]);
+      mockDocumentClient.put.resetHistory();
+
+      await dynamoFx.cleanup();
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({ TableName: 'users', Item: { id: 'shared', name: 'original' } });
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({ TableName: 'users', Key: { id: 'new' } });
+      expect(dynamoFx.data).to.deep.equal([]);
+      expect(dynamoFx.previousItems.size).to.equal(0);
+    });
+
+    it('should read the replaced items before provisioning them', async () => {
+      await dynamoFx.provision([{ id: 'shared', name: 'test' }, { id: 'new' }]);
+
+      expect(mockDocumentClient.batchGet).to.have.been.calledOnceWith({
+        RequestItems: { users: { ConsistentRead: true, Keys: [{ id: 'shared' }, { id: 'new' }] } }
+      });
+      expect(mockDocumentClient.batchGet).to.have.been.calledBefore(mockDocumentClient.put);
+    });
+
+    it('should remember the original item when one provision writes a key twice', async () => {
+      // the second put is applied first, but its response arrives last
+      const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+      const timings = [{ applied: 10, returned: 0 }, { applied: 0, returned: 30 }];
+      let stored = { id: 'shared', name: 'original' };
+      mockDocumentClient.put.callsFake(async ({ Item }) => {
+        const { applied, returned } = timings.shift() || { applied: 0, returned: 0 };
+        await sleep(applied);
+        const replaced = stored;
+        stored = Item;
+        await sleep(returned);
+        return { Attributes: replaced };
+      });
+
+      await dynamoFx.provision([{ id: 'shared', name: 'first' }, { id: 'shared', name: 'second' }]);
+      mockDocumentClient.put.resetHistory();
+      await dynamoFx.cleanup();
+
+      expect(mockDocumentClient.put).to.have.been.calledWith({ TableName: 'users', Item: { id: 'shared', name: 'original' } });
+      expect(mockDocumentClient.put).to.not.have.been.calledWithMatch({ Item: { name: 'first' } });
+    });
+
+    it('should remember the item from before the first insert', async () => {
+      await dynamoFx.provision([{ id: 'shared', name: 'first' }]);
+      mockDocumentClient.put.resolves({ Attributes: { id: 'shared', name: 'first' } });
+      await dynamoFx.provision([{ id: 'shared', name: 'second' }]);
+      mockDocumentClient.put.resetHistory();
+
+      await dynamoFx.cleanup();
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({ TableName: 'users', Item: { id: 'shared', name: 'original' } });
+      expect(mockDocumentClient.delete).to.not.have.been.called;
+    });
+
+    it('should put replaced items back in batch cleanup', async () => {
+      await dynamoFx.provision([{ id: 'shared', name: 'test' }, { id: 'new' }]);
+
+      await dynamoFx.batchCleanup();
+
+      expect(mockDocumentClient.batchWrite.firstCall.args[0].RequestItems.users).to.deep.equal([
+        { PutRequest: { Item: { id: 'shared', name: 'original' } } },
+        { DeleteRequest: { Key: { id: 'new' } } }
+      ]);
+      expect(dynamoFx.data).to.deep.equal([]);
+      expect(dynamoFx.previousItems.size).to.equal(0);
+    });
+
+    it('should keep tracking replaced items that could not be put back', async () => {
+      await dynamoFx.provision([{ id: 'shared', name: 'test' }]);
+      mockDocumentClient.batchWrite.resolves({ UnprocessedItems: { users: [{ PutRequest: { Item: { id: 'shared', name: 'original' } } }] } });
+
+      try {
+        await dynamoFx.batchCleanup({ maxRetries: 0 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('1 items could not be deleted from users');
+      }
+      expect(dynamoFx.data).to.deep.equal([{ id: 'shared', name: 'test' }]);
+      expect([...dynamoFx.previousItems.values()]).to.deep.equal([{ id: 'shared', name: 'original' }]);
+    });
+
+    it('should find replaced items when the key schema is discovered after the insert', async () => {
+      mockBaseClient.send.resolves({ Table: { KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }] } });
+      mockDocumentClient.put.callsFake(async ({ Item }) => (Item.userId === 'shared' ? { Attributes: { userId: 'shared', name: 'original' } } : {}));
+      mockDocumentClient.batchGet.resolves({ Responses: { users: [{ userId: 'shared', name: 'original' }] } });
+      const discovering = new DynamoFx(localConfig, 'users');
+
+      await discovering.provision([{ userId: 'shared', name: 'test' }]);
+      await discovering.update({ userId: 'shared' }, { name: 'updated' });
+      mockDocumentClient.put.resetHistory();
+      await discovering.cleanup();
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({ TableName: 'users', Item: { userId: 'shared', name: 'original' } });
+      expect(mockDocumentClient.delete).to.not.have.been.called;
+    });
+
+    it('should read the items batchProvision replaces and put them back', async () => {
+      mockDocumentClient.batchGet.resolves({ Responses: { users: [{ id: 'shared', name: 'original' }] } });
+
+      await dynamoFx.batchProvision([{ id: 'shared', name: 'test' }, { id: 'new' }]);
+      await dynamoFx.cleanup();
+
+      expect(mockDocumentClient.batchGet).to.have.been.calledOnceWith({
+        RequestItems: { users: { ConsistentRead: true, Keys: [{ id: 'shared' }, { id: 'new' }] } }
       });
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({ TableName: 'users', Item: { id: 'shared', name: 'original' } });
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({ TableName: 'users', Key: { id: 'new' } });
+    });
+
+    it('should read the items transactProvision replaces and put them back', async () => {
+      mockDocumentClient.batchGet.resolves({ Responses: { users: [{ id: 'shared', name: 'original' }] } });
+
+      await dynamoFx.transactProvision([{ id: 'shared', name: 'test' }, { id: 'new' }]);
+      await dynamoFx.cleanup();
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({ TableName: 'users', Item: { id: 'shared', name: 'original' } });
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({ TableName: 'users', Key: { id: 'new' } });
+    });
+
+    it('should not read existing items for transactions that fail on them', async () => {
+      const strict = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' }, insertMode: 'failIfExists' });
+
+      await strict.transactProvision([{ id: 'new' }]);
+
+      expect(mockDocumentClient.batchGet).to.not.have.been.called;
     });
   });
 
@@ -182,7 +532,7 @@ describe('DynamoFx', () => {
     let dynamoFx;
 
     beforeEach(() => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
       dynamoFx = new DynamoFx(connConfig, tableName);
     });
@@ -198,17 +548,20 @@ describe('DynamoFx', () => {
       });
     });
 
-    it('should return the promise from delete', () => {
+    it('should resolve with the result of delete', async () => {
       const key = { id: '456' };
-      const expectedPromise = Promise.resolve({ ConsumedCapacity: {} });
-      mockDocumentClient.delete.returns(expectedPromise);
+      const expectedResult = { ConsumedCapacity: {} };
+      mockDocumentClient.delete.resolves(expectedResult);
 
-      const result = dynamoFx.remove(key);
+      const result = await dynamoFx.remove(key);
 
-      expect(result).to.equal(expectedPromise);
+      expect(result).to.equal(expectedResult);
     });
 
     it('should handle composite keys', async () => {
+      mockBaseClient.send.resolves({
+        Table: { KeySchema: [{ AttributeName: 'partitionKey', KeyType: 'HASH' }, { AttributeName: 'sortKey', KeyType: 'RANGE' }] }
+      });
       const compositeKey = {
         partitionKey: 'pk-123',
         sortKey: 'sk-456'
@@ -222,30 +575,26 @@ describe('DynamoFx', () => {
       });
     });
 
-    it('should handle string keys', async () => {
-      const stringKey = 'simple-key';
-
-      await dynamoFx.remove(stringKey);
-
-      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({
-        TableName: 'test-table',
-        Key: stringKey
-      });
+    it('should reject string keys', async () => {
+      try {
+        await dynamoFx.remove('simple-key');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Key attribute "id" is missing from the item for table test-table');
+      }
+      expect(mockDocumentClient.delete).to.not.have.been.called;
     });
 
-    it('should handle null/undefined keys', async () => {
-      await dynamoFx.remove(null);
-      await dynamoFx.remove(undefined);
-
-      expect(mockDocumentClient.delete).to.have.been.calledTwice;
-      expect(mockDocumentClient.delete.firstCall).to.have.been.calledWith({
-        TableName: 'test-table',
-        Key: null
-      });
-      expect(mockDocumentClient.delete.secondCall).to.have.been.calledWith({
-        TableName: 'test-table',
-        Key: undefined
-      });
+    it('should reject null/undefined keys', async () => {
+      for (const key of [null, undefined]) {
+        try {
+          await dynamoFx.remove(key);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal('Key attribute "id" is missing from the item for table test-table');
+        }
+      }
+      expect(mockDocumentClient.delete).to.not.have.been.called;
     });
   });
 
@@ -253,7 +602,7 @@ describe('DynamoFx', () => {
     let dynamoFx;
     
     beforeEach(() => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'test-table';
       dynamoFx = new DynamoFx(connConfig, tableName);
     });
@@ -269,17 +618,20 @@ describe('DynamoFx', () => {
       });
     });
 
-    it('should return the promise from get', () => {
+    it('should resolve with the result of get', async () => {
       const key = { id: '456' };
-      const expectedPromise = Promise.resolve({ Item: { id: '456', data: 'test' } });
-      mockDocumentClient.get.returns(expectedPromise);
+      const expectedResult = { Item: { id: '456', data: 'test' } };
+      mockDocumentClient.get.resolves(expectedResult);
 
-      const result = dynamoFx.get(key);
+      const result = await dynamoFx.get(key);
 
-      expect(result).to.equal(expectedPromise);
+      expect(result).to.equal(expectedResult);
     });
 
     it('should handle composite keys', async () => {
+      mockBaseClient.send.resolves({
+        Table: { KeySchema: [{ AttributeName: 'partitionKey', KeyType: 'HASH' }, { AttributeName: 'sortKey', KeyType: 'RANGE' }] }
+      });
       const compositeKey = {
         partitionKey: 'pk-123',
         sortKey: 'sk-456'
@@ -293,30 +645,26 @@ describe('DynamoFx', () => {
       });
     });
 
-    it('should handle string keys', async () => {
-      const stringKey = 'simple-key';
-
-      await dynamoFx.get(stringKey);
-
-      expect(mockDocumentClient.get).to.have.been.calledOnceWith({
-        TableName: 'test-table',
-        Key: stringKey
-      });
+    it('should reject string keys', async () => {
+      try {
+        await dynamoFx.get('simple-key');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Key attribute "id" is missing from the item for table test-table');
+      }
+      expect(mockDocumentClient.get).to.not.have.been.called;
     });
 
-    it('should handle null/undefined keys', async () => {
-      await dynamoFx.get(null);
-      await dynamoFx.get(undefined);
-
-      expect(mockDocumentClient.get).to.have.been.calledTwice;
-      expect(mockDocumentClient.get.firstCall).to.have.been.calledWith({
-        TableName: 'test-table',
-        Key: null
-      });
-      expect(mockDocumentClient.get.secondCall).to.have.been.calledWith({
-        TableName: 'test-table',
-        Key: undefined
-      });
+    it('should reject null/undefined keys', async () => {
+      for (const key of [null, undefined]) {
+        try {
+          await dynamoFx.get(key);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal('Key attribute "id" is missing from the item for table test-table');
+        }
+      }
+      expect(mockDocumentClient.get).to.not.have.been.called;
     });
 
     it('should handle non-existent items', async () => {
@@ -330,79 +678,2608 @@ describe('DynamoFx', () => {
     });
   });
 
-  describe('inheritance', () => {
-    it('should extend the fixture-interface class', () => {
-      const connConfig = { region: 'us-east-1' };
-      const tableName = 'test-table';
+  describe('key schema', () => {
+    const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
 
-      const instance = new DynamoFx(connConfig, tableName);
+    it('should accept key names in the constructor', () => {
+      const instance = new DynamoFx(connConfig, 'test-table', {
+        keySchema: { hashKey: 'userId', rangeKey: 'createdAt' }
+      });
 
-      expect(instance).to.be.instanceof(Fixture);
+      expect(instance.keySchema).to.deep.equal({ hashKey: 'userId', rangeKey: 'createdAt' });
     });
 
-    it('should have access to parent class methods', () => {
-      const connConfig = { region: 'us-east-1' };
-      const tableName = 'test-table';
+    it('should accept a DynamoDB KeySchema in the constructor', () => {
+      const instance = new DynamoFx(connConfig, 'test-table', {
+        keySchema: [
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+          { AttributeName: 'userId', KeyType: 'HASH' }
+        ]
+      });
 
-      const instance = new DynamoFx(connConfig, tableName);
+      expect(instance.keySchema).to.deep.equal({ hashKey: 'userId', rangeKey: 'createdAt' });
+    });
 
-      expect(instance.provision).to.exist;
-      expect(instance.addData).to.exist;
-      expect(instance.cleanup).to.exist;
+    it('should reject a key schema without a HASH key', () => {
+      expect(() => new DynamoFx(connConfig, 'test-table', {
+        keySchema: [{ AttributeName: 'createdAt', KeyType: 'RANGE' }]
+      })).to.throw('HASH key');
+    });
+
+    it('should discover the key schema with DescribeTable', async () => {
+      mockBaseClient.send.resolves({
+        Table: {
+          KeySchema: [
+            { AttributeName: 'userId', KeyType: 'HASH' },
+            { AttributeName: 'createdAt', KeyType: 'RANGE' }
+          ]
+        }
+      });
+      const instance = new DynamoFx(connConfig, 'users');
+
+      const keySchema = await instance.loadKeySchema();
+
+      expect(keySchema).to.deep.equal({ hashKey: 'userId', rangeKey: 'createdAt' });
+      expect(mockBaseClient.send).to.have.been.calledOnce;
+      expect(mockBaseClient.send.firstCall.args[0].name).to.equal('DescribeTableCommand');
+      expect(mockBaseClient.send.firstCall.args[0].input).to.deep.equal({ TableName: 'users' });
+    });
+
+    it('should cache the discovered key schema', async () => {
+      mockBaseClient.send.resolves({ Table: { KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }] } });
+      const instance = new DynamoFx(connConfig, 'users');
+
+      await instance.loadKeySchema();
+      await instance.loadKeySchema();
+
+      expect(mockBaseClient.send).to.have.been.calledOnce;
+    });
+
+    it('should describe the table once for concurrent inserts', async () => {
+      mockBaseClient.send.resolves({ Table: { KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }] } });
+      mockDocumentClient.put.resolves({});
+      const instance = new DynamoFx(connConfig, 'users');
+
+      await Promise.all(['u1', 'u2', 'u3'].map(userId => instance.insert({ userId })));
+
+      expect(mockBaseClient.send).to.have.been.calledOnce;
+      expect(mockBaseClient.send.firstCall.args[0].name).to.equal('DescribeTableCommand');
+      expect(mockDocumentClient.put).to.have.been.calledThrice;
+    });
+
+    it('should describe the table again after a failed DescribeTable', async () => {
+      mockBaseClient.send.onFirstCall().rejects(new Error('Throttled'));
+      mockBaseClient.send.resolves({ Table: { KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }] } });
+      const instance = new DynamoFx(connConfig, 'users');
+
+      const results = await Promise.allSettled([instance.loadKeySchema(), instance.loadKeySchema()]);
+      const keySchema = await instance.loadKeySchema();
+
+      expect(results.map(result => result.status)).to.deep.equal(['rejected', 'rejected']);
+      expect(keySchema).to.deep.equal({ hashKey: 'userId' });
+      expect(mockBaseClient.send).to.have.been.calledTwice;
+    });
+
+    it('should not describe the table when a key schema was provided', async () => {
+      const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+      const keySchema = await instance.loadKeySchema();
+
+      expect(keySchema).to.deep.equal({ hashKey: 'userId' });
+      expect(mockBaseClient.send).to.not.have.been.called;
+    });
+
+    it('should extract exactly the key attributes from a full item', () => {
+      const instance = new DynamoFx(connConfig, 'users', {
+        keySchema: { hashKey: 'userId', rangeKey: 'createdAt' }
+      });
+
+      const key = instance.getKey({ userId: 'u1', createdAt: 100, name: 'Test', id: 'ignored' });
+
+      expect(key).to.deep.equal({ userId: 'u1', createdAt: 100 });
+    });
+
+    it('should use the extracted key for remove and get', async () => {
+      const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+      await instance.remove({ userId: 'u1', name: 'Test' });
+      await instance.get({ userId: 'u2', name: 'Other' });
+
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({ TableName: 'users', Key: { userId: 'u1' } });
+      expect(mockDocumentClient.get).to.have.been.calledOnceWith({ TableName: 'users', Key: { userId: 'u2' } });
+    });
+
+    it('should discover the key schema before provisioning and cleaning up', async () => {
+      mockBaseClient.send.resolves({
+        Table: {
+          KeySchema: [
+            { AttributeName: 'userId', KeyType: 'HASH' },
+            { AttributeName: 'createdAt', KeyType: 'RANGE' }
+          ]
+        }
+      });
+      mockDocumentClient.put.resolves({});
+      mockDocumentClient.delete.resolves({});
+      const instance = new DynamoFx(connConfig, 'events');
+
+      await instance.provision([{ userId: 'u1', createdAt: 1, name: 'x' }]);
+      await instance.cleanup();
+
+      expect(instance.keySchema).to.deep.equal({ hashKey: 'userId', rangeKey: 'createdAt' });
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({ TableName: 'events', Key: { userId: 'u1', createdAt: 1 } });
+      expect(mockBaseClient.send).to.have.been.calledOnce;
+    });
+
+    it('should throw a descriptive error when a key attribute is missing', () => {
+      const instance = new DynamoFx(connConfig, 'users', {
+        keySchema: { hashKey: 'userId', rangeKey: 'createdAt' }
+      });
+
+      expect(() => instance.getKey({ userId: 'u1' })).to.throw('Key attribute "createdAt" is missing from the item for table users');
+      expect(() => instance.getKey(null)).to.throw('Key attribute "userId"');
     });
   });
 
-  describe('integration scenarios', () => {
+  describe('getItem', () => {
     let dynamoFx;
 
     beforeEach(() => {
-      const connConfig = { region: 'us-east-1' };
-      const tableName = 'integration-table';
-      dynamoFx = new DynamoFx(connConfig, tableName);
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } });
     });
 
-    it('should handle insert and remove operations in sequence', async () => {
-      const item = { id: 'seq-123', name: 'sequence test' };
-      const key = { id: 'seq-123' };
+    it('should return the item', async () => {
+      mockDocumentClient.get.resolves({ Item: { id: 'user1', name: 'Ann' } });
 
-      mockDocumentClient.put.resolves({ ConsumedCapacity: {} });
-      mockDocumentClient.delete.resolves({ ConsumedCapacity: {} });
+      expect(await dynamoFx.getItem({ id: 'user1', name: 'Ann' })).to.deep.equal({ id: 'user1', name: 'Ann' });
+      expect(mockDocumentClient.get).to.have.been.calledOnceWith({ TableName: 'users', Key: { id: 'user1' } });
+    });
 
-      await dynamoFx.insert(item);
-      await dynamoFx.remove(key);
+    it('should return undefined for a missing item', async () => {
+      mockDocumentClient.get.resolves({});
 
-      expect(mockDocumentClient.put).to.have.been.calledOnceWith({
-        TableName: 'integration-table',
-        Item: item
-      });
-      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({
-        TableName: 'integration-table',
-        Key: key
+      expect(await dynamoFx.getItem({ id: 'missing' })).to.be.undefined;
+    });
+
+    it('should read consistently and project attributes', async () => {
+      mockDocumentClient.get.resolves({ Item: { name: 'Ann' } });
+
+      await dynamoFx.getItem({ id: 'user1' }, { consistentRead: true, projection: ['name', 'profile.emails[0]'] });
+
+      expect(mockDocumentClient.get).to.have.been.calledOnceWith({
+        TableName: 'users',
+        Key: { id: 'user1' },
+        ConsistentRead: true,
+        ProjectionExpression: '#n0, #n1.#n2[0]',
+        ExpressionAttributeNames: { '#n0': 'name', '#n1': 'profile', '#n2': 'emails' }
       });
     });
+  });
 
-    it('should maintain table name consistency across operations', () => {
-      const item1 = { id: '1', data: 'first' };
-      const item2 = { id: '2', data: 'second' };
-      const key1 = { id: '1' };
+  describe('getMany', () => {
+    let dynamoFx;
 
-      dynamoFx.insert(item1);
-      dynamoFx.insert(item2);
-      dynamoFx.remove(key1);
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders', { keySchema: { hashKey: 'customer', rangeKey: 'order' } });
+    });
 
-      expect(mockDocumentClient.put.firstCall.args[0].TableName).to.equal('integration-table');
-      expect(mockDocumentClient.put.secondCall.args[0].TableName).to.equal('integration-table');
-      expect(mockDocumentClient.delete.firstCall.args[0].TableName).to.equal('integration-table');
+    it('should return the items in the order of the keys', async () => {
+      mockDocumentClient.batchGet.resolves({
+        Responses: { orders: [{ customer: 'c2', order: 'o1', total: 2 }, { customer: 'c1', order: 'o1', total: 1 }] }
+      });
+
+      const items = await dynamoFx.getMany([
+        { customer: 'c1', order: 'o1' },
+        { customer: 'c3', order: 'o1' },
+        { customer: 'c2', order: 'o1', total: 5 },
+        { order: 'o1', customer: 'c1' }
+      ]);
+
+      expect(items).to.deep.equal([
+        { customer: 'c1', order: 'o1', total: 1 },
+        undefined,
+        { customer: 'c2', order: 'o1', total: 2 },
+        { customer: 'c1', order: 'o1', total: 1 }
+      ]);
+      expect(mockDocumentClient.batchGet).to.have.been.calledOnceWith({
+        RequestItems: {
+          orders: {
+            Keys: [{ customer: 'c1', order: 'o1' }, { customer: 'c3', order: 'o1' }, { customer: 'c2', order: 'o1' }]
+          }
+        }
+      });
     });
 
-    it('should handle different table instances independently', () => {
-      const connConfig = { region: 'us-west-2' };
-      const dynamoFx2 = new DynamoFx(connConfig, 'different-table');
+    it('should read 100 keys per request and retry unprocessed keys', async () => {
+      const clock = sandbox.useFakeTimers();
+      const keys = Array.from({ length: 150 }, (_, i) => ({ customer: 'c1', order: `o${i}` }));
+      mockDocumentClient.batchGet
+        .onFirstCall().resolves({ Responses: { orders: keys.slice(0, 99) }, UnprocessedKeys: { orders: { Keys: [keys[99]] } } })
+        .onSecondCall().resolves({ Responses: { orders: [keys[99]] } })
+        .onThirdCall().resolves({ Responses: { orders: keys.slice(100) } });
+
+      const result = dynamoFx.getMany(keys);
+      await clock.tickAsync(50);
+
+      expect(await result).to.deep.equal(keys);
+      expect(mockDocumentClient.batchGet).to.have.been.calledThrice;
+      expect(mockDocumentClient.batchGet.firstCall.args[0].RequestItems.orders.Keys).to.have.lengthOf(100);
+      expect(mockDocumentClient.batchGet.secondCall.args[0].RequestItems.orders.Keys).to.deep.equal([keys[99]]);
+    });
 
-      const item = { id: 'multi-123' };
+    it('should fail when keys stay unprocessed', async () => {
+      mockDocumentClient.batchGet.resolves({ UnprocessedKeys: { orders: { Keys: [{ customer: 'c1', order: 'o1' }] } } });
 
-      dynamoFx.insert(item);
-      dynamoFx2.insert(item);
+      try {
+        await dynamoFx.getMany([{ customer: 'c1', order: 'o1' }], { maxRetries: 0 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('1 keys could not be read from orders');
+      }
+    });
+
+    it('should project attributes and drop key attributes that were not requested', async () => {
+      mockDocumentClient.batchGet.resolves({ Responses: { orders: [{ customer: 'c1', order: 'o1', total: 1 }] } });
+
+      const items = await dynamoFx.getMany([{ customer: 'c1', order: 'o1' }], { consistentRead: true, projection: ['total', 'customer'] });
+
+      expect(items).to.deep.equal([{ customer: 'c1', total: 1 }]);
+      expect(mockDocumentClient.batchGet.firstCall.args[0].RequestItems.orders).to.deep.equal({
+        ConsistentRead: true,
+        ProjectionExpression: '#n0, #n1, #n2',
+        ExpressionAttributeNames: { '#n0': 'total', '#n1': 'customer', '#n2': 'order' },
+        Keys: [{ customer: 'c1', order: 'o1' }]
+      });
+    });
+  });
+
+  describe('update', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders', { keySchema: { hashKey: 'customer', rangeKey: 'order' } });
+    });
+
+    it('should set attributes and return the updated item', async () => {
+      mockDocumentClient.update.resolves({ Attributes: { customer: 'c1', order: 'o1', status: 'shipped' } });
+
+      const item = await dynamoFx.update({ customer: 'c1', order: 'o1', status: 'pending' }, { status: 'shipped' });
+
+      expect(item).to.deep.equal({ customer: 'c1', order: 'o1', status: 'shipped' });
+      expect(mockDocumentClient.update).to.have.been.calledOnceWith({
+        TableName: 'orders',
+        Key: { customer: 'c1', order: 'o1' },
+        UpdateExpression: 'SET #n0 = :v0',
+        ConditionExpression: 'attribute_exists(#n1)',
+        ReturnValues: 'ALL_NEW',
+        ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+        ExpressionAttributeNames: { '#n0': 'status', '#n1': 'customer' },
+        ExpressionAttributeValues: { ':v0': 'shipped' }
+      });
+    });
+
+    it('should build SET, REMOVE and ADD actions on nested paths', async () => {
+      await dynamoFx.update({ customer: 'c1', order: 'o1' }, {
+        'shipping.address.city': 'Berlin',
+        'lines[0].quantity': { $add: 2 },
+        notes: { $remove: true },
+        history: { $append: 'shipped' },
+        tags: { $add: new Set(['rush']) },
+        events: { $prepend: ['created', 'paid'] }
+      });
+
+      const input = mockDocumentClient.update.firstCall.args[0];
+      expect(input.UpdateExpression).to.equal(
+        'SET #n0.#n1.#n2 = :v0, #n6 = list_append(if_not_exists(#n6, :v2), :v3), #n8 = list_append(:v5, if_not_exists(#n8, :v6)) ' +
+        'REMOVE #n5 ADD #n3[0].#n4 :v1, #n7 :v4'
+      );
+      expect(input.ExpressionAttributeNames).to.deep.equal({
+        '#n0': 'shipping', '#n1': 'address', '#n2': 'city', '#n3': 'lines', '#n4': 'quantity',
+        '#n5': 'notes', '#n6': 'history', '#n7': 'tags', '#n8': 'events', '#n9': 'customer'
+      });
+      expect(input.ExpressionAttributeValues).to.deep.equal({
+        ':v0': 'Berlin', ':v1': 2, ':v2': [], ':v3': ['shipped'], ':v4': new Set(['rush']), ':v5': ['created', 'paid'], ':v6': []
+      });
+    });
+
+    it('should add conditions', async () => {
+      await dynamoFx.update({ customer: 'c1', order: 'o1' }, { status: 'shipped' }, { condition: { status: 'paid', total: { gt: 0 } } });
+
+      const input = mockDocumentClient.update.firstCall.args[0];
+      expect(input.ConditionExpression).to.equal('attribute_exists(#n1) AND #n0 = :v1 AND #n2 > :v2');
+      expect(input.ExpressionAttributeValues).to.deep.equal({ ':v0': 'shipped', ':v1': 'paid', ':v2': 0 });
+    });
+
+    it('should name the key of a missing item or a failed condition', async () => {
+      const conditionFailed = (Item) => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException', Item });
+      mockDocumentClient.update.onFirstCall().rejects(conditionFailed());
+      mockDocumentClient.update.onSecondCall().rejects(conditionFailed({ customer: { S: 'c1' } }));
+
+      for (const message of [
+        "No item with key { customer: 'c1', order: 'o1' } in table orders to update",
+        "Item { customer: 'c1', order: 'o1' } in table orders does not meet the update condition"
+      ]) {
+        try {
+          await dynamoFx.update({ customer: 'c1', order: 'o1' }, { status: 'shipped' }, { condition: { status: 'paid' } });
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal(message);
+          expect(error.key).to.deep.equal({ customer: 'c1', order: 'o1' });
+        }
+      }
+    });
+
+    it('should reject invalid paths and empty changes', async () => {
+      for (const [changes, message] of [
+        [{ 'lines[x]': 1 }, 'Invalid attribute path "lines[x]"'],
+        [{}, "No changes given to update item { customer: 'c1', order: 'o1' } in table orders"]
+      ]) {
+        try {
+          await dynamoFx.update({ customer: 'c1', order: 'o1' }, changes);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal(message);
+        }
+      }
+      expect(mockDocumentClient.update).to.not.have.been.called;
+    });
+  });
+
+  describe('queryAll', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders', { keySchema: { hashKey: 'customer', rangeKey: 'order' } });
+    });
+
+    it('should query every page of a partition', async () => {
+      mockDocumentClient.query
+        .onFirstCall().resolves({ Items: [{ customer: 'c1', order: 'o1' }], LastEvaluatedKey: { customer: 'c1', order: 'o1' } })
+        .onSecondCall().resolves({ Items: [{ customer: 'c1', order: 'o2' }] });
+
+      const items = await dynamoFx.queryAll('c1');
+
+      expect(items).to.deep.equal([{ customer: 'c1', order: 'o1' }, { customer: 'c1', order: 'o2' }]);
+      expect(mockDocumentClient.query.firstCall.args[0]).to.deep.equal({
+        TableName: 'orders',
+        KeyConditionExpression: '#n0 = :v0',
+        ConsistentRead: true,
+        ExpressionAttributeNames: { '#n0': 'customer' },
+        ExpressionAttributeValues: { ':v0': 'c1' },
+        ExclusiveStartKey: undefined
+      });
+      expect(mockDocumentClient.query.secondCall.args[0].ExclusiveStartKey).to.deep.equal({ customer: 'c1', order: 'o1' });
+    });
+
+    it('should build sort key conditions and filters', async () => {
+      await dynamoFx.queryAll('c1', { sortKeyCondition: { beginsWith: 'order#' }, filter: { status: { ne: 'cancelled' }, note: { exists: false } } });
+      await dynamoFx.queryAll('c1', { sortKeyCondition: { between: ['a', 'b'] } });
+      await dynamoFx.queryAll('c1', { sortKeyCondition: 'o1' });
+
+      const [first, second, third] = mockDocumentClient.query.getCalls().map(call => call.args[0]);
+      expect(first.KeyConditionExpression).to.equal('#n0 = :v0 AND begins_with(#n1, :v1)');
+      expect(first.FilterExpression).to.equal('#n2 <> :v2 AND attribute_not_exists(#n3)');
+      expect(first.ExpressionAttributeNames).to.deep.equal({ '#n0': 'customer', '#n1': 'order', '#n2': 'status', '#n3': 'note' });
+      expect(first.ExpressionAttributeValues).to.deep.equal({ ':v0': 'c1', ':v1': 'order#', ':v2': 'cancelled' });
+      expect(second.KeyConditionExpression).to.equal('#n0 = :v0 AND #n1 BETWEEN :v1 AND :v2');
+      expect(second.ExpressionAttributeValues).to.deep.equal({ ':v0': 'c1', ':v1': 'a', ':v2': 'b' });
+      expect(third.KeyConditionExpression).to.equal('#n0 = :v0 AND #n1 = :v1');
+    });
+
+    it('should reject conditions that are not allowed on a sort key', async () => {
+      try {
+        await dynamoFx.queryAll('c1', { sortKeyCondition: { contains: 'x' } });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Condition "contains" cannot be used on order');
+      }
+    });
+
+    it('should reject a sort key condition without a sort key', async () => {
+      const instance = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } });
+
+      try {
+        await instance.queryAll('u1', { sortKeyCondition: { gt: 1 } });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot use a sort key condition on users, it has no sort key');
+      }
+    });
+
+    it('should query an index with its key schema', async () => {
+      mockBaseClient.send.resolves({
+        Table: {
+          KeySchema: [{ AttributeName: 'customer', KeyType: 'HASH' }, { AttributeName: 'order', KeyType: 'RANGE' }],
+          GlobalSecondaryIndexes: [{ IndexName: 'byStatus', KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } }],
+          LocalSecondaryIndexes: [{
+            IndexName: 'byTotal',
+            KeySchema: [{ AttributeName: 'customer', KeyType: 'HASH' }, { AttributeName: 'total', KeyType: 'RANGE' }],
+            Projection: { ProjectionType: 'ALL' }
+          }]
+        }
+      });
+
+      await dynamoFx.queryAll('open', { indexName: 'byStatus' });
+      await dynamoFx.queryAll('c1', { indexName: 'byTotal', sortKeyCondition: { gte: 100 } });
+
+      const [global, local] = mockDocumentClient.query.getCalls().map(call => call.args[0]);
+      expect(global).to.deep.include({ IndexName: 'byStatus', ConsistentRead: false, KeyConditionExpression: '#n0 = :v0' });
+      expect(global.ExpressionAttributeNames).to.deep.equal({ '#n0': 'status' });
+      expect(local).to.deep.include({ IndexName: 'byTotal', ConsistentRead: true, KeyConditionExpression: '#n0 = :v0 AND #n1 >= :v1' });
+      expect(local.ExpressionAttributeNames).to.deep.equal({ '#n0': 'customer', '#n1': 'total' });
+      expect(mockBaseClient.send).to.have.been.calledOnce;
+    });
+
+    it('should reject unknown indexes', async () => {
+      mockBaseClient.send.resolves({ Table: { KeySchema: [{ AttributeName: 'customer', KeyType: 'HASH' }] } });
+
+      try {
+        await dynamoFx.queryAll('c1', { indexName: 'missing' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Table orders has no index named missing');
+      }
+    });
+  });
+
+  describe('scanAll', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders');
+    });
+
+    it('should scan every page', async () => {
+      mockDocumentClient.scan
+        .onFirstCall().resolves({ Items: [{ id: '1' }], LastEvaluatedKey: { id: '1' } })
+        .onSecondCall().resolves({ Items: [{ id: '2' }] });
+
+      const items = await dynamoFx.scanAll();
+
+      expect(items).to.deep.equal([{ id: '1' }, { id: '2' }]);
+      expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+        TableName: 'orders',
+        ConsistentRead: true,
+        ExclusiveStartKey: undefined
+      });
+    });
+
+    it('should filter with placeholders', async () => {
+      await dynamoFx.scanAll({ filter: { status: 'open', 'total.amount': { gt: 10 }, tags: { contains: 'x' } }, indexName: 'byStatus' });
+
+      expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+        TableName: 'orders',
+        IndexName: 'byStatus',
+        FilterExpression: '#n0 = :v0 AND #n1 > :v1 AND contains(#n2, :v2)',
+        ConsistentRead: false,
+        ExpressionAttributeNames: { '#n0': 'status', '#n1': 'total.amount', '#n2': 'tags' },
+        ExpressionAttributeValues: { ':v0': 'open', ':v1': 10, ':v2': 'x' },
+        ExclusiveStartKey: undefined
+      });
+    });
+  });
+
+  describe('batchProvision', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'batch-table');
+    });
+
+    const makeItems = (count) => Array.from({ length: count }, (_, i) => ({ id: `item-${i}`, value: i }));
+
+    it('should write items in batches of 25', async () => {
+      const items = makeItems(60);
+
+      await dynamoFx.batchProvision(items);
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledThrice;
+      const sizes = mockDocumentClient.batchWrite.getCalls().map(call => call.args[0].RequestItems['batch-table'].length);
+      expect(sizes).to.deep.equal([25, 25, 10]);
+      expect(mockDocumentClient.batchWrite.firstCall.args[0].RequestItems['batch-table'][0])
+        .to.deep.equal({ PutRequest: { Item: items[0] } });
+    });
+
+    it('should track every item for cleanup', async () => {
+      const items = makeItems(30);
+
+      const result = await dynamoFx.batchProvision(items);
+
+      expect(result).to.equal(items);
+      expect(dynamoFx.data).to.deep.equal(items);
+    });
+
+    it('should write only the last item for a key repeated within a batch', async () => {
+      const items = [{ id: 'a', value: 1 }, { id: 'b' }, { id: 'a', value: 2 }];
+
+      const result = await dynamoFx.batchProvision(items);
+
+      expect(result).to.equal(items);
+      expect(mockDocumentClient.batchWrite).to.have.been.calledOnceWith({
+        RequestItems: {
+          'batch-table': [
+            { PutRequest: { Item: { id: 'a', value: 2 } } },
+            { PutRequest: { Item: { id: 'b' } } }
+          ]
+        }
+      });
+      expect(dynamoFx.data).to.deep.equal([{ id: 'a', value: 2 }, { id: 'b' }]);
+    });
+
+    it('should not write anything for an empty list', async () => {
+      await dynamoFx.batchProvision([]);
+
+      expect(mockDocumentClient.batchWrite).to.not.have.been.called;
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+
+    it('should retry unprocessed items with exponential backoff', async () => {
+      const clock = sandbox.useFakeTimers();
+      const items = makeItems(3);
+      mockDocumentClient.batchWrite
+        .onFirstCall().resolves({ UnprocessedItems: { 'batch-table': [{ PutRequest: { Item: { ...items[1] } } }] } })
+        .onSecondCall().resolves({ UnprocessedItems: { 'batch-table': [{ PutRequest: { Item: { ...items[1] } } }] } })
+        .onThirdCall().resolves({ UnprocessedItems: {} });
+
+      const provisioning = dynamoFx.batchProvision(items, { retryDelay: 100 });
+
+      await clock.tickAsync(99);
+      expect(mockDocumentClient.batchWrite).to.have.been.calledOnce;
+      await clock.tickAsync(1);
+      expect(mockDocumentClient.batchWrite).to.have.been.calledTwice;
+      expect(mockDocumentClient.batchWrite.secondCall.args[0].RequestItems['batch-table']).to.deep.equal([
+        { PutRequest: { Item: items[1] } }
+      ]);
+      await clock.tickAsync(199);
+      expect(mockDocumentClient.batchWrite).to.have.been.calledTwice;
+      await clock.tickAsync(1);
+      await provisioning;
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledThrice;
+      expect(dynamoFx.data).to.deep.equal(items);
+    });
+
+    it('should fail when items stay unprocessed and only track the written ones', async () => {
+      const items = makeItems(3);
+      mockDocumentClient.batchWrite.resolves({
+        UnprocessedItems: { 'batch-table': [{ PutRequest: { Item: { ...items[2] } } }] }
+      });
+
+      try {
+        await dynamoFx.batchProvision(items, { maxRetries: 2, retryDelay: 0 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('1 items could not be written to batch-table');
+      }
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledThrice;
+      expect(dynamoFx.data).to.deep.equal(items.slice(0, 2));
+    });
+
+    it('should propagate batchWrite errors without tracking the batch', async () => {
+      const expectedError = new Error('DynamoDB batchWrite failed');
+      mockDocumentClient.batchWrite.rejects(expectedError);
+
+      try {
+        await dynamoFx.batchProvision(makeItems(2));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.equal(expectedError);
+      }
+
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+  });
+
+  describe('transactProvision', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } });
+    });
+
+    it('should write all items in one transaction and track them', async () => {
+      const items = [{ id: '1' }, { id: '2' }];
+
+      const result = await dynamoFx.transactProvision(items);
+
+      expect(result).to.equal(items);
+      expect(mockDocumentClient.transactWrite).to.have.been.calledOnceWith({
+        TransactItems: [
+          { Put: { TableName: 'users', Item: { id: '1' } } },
+          { Put: { TableName: 'users', Item: { id: '2' } } }
+        ]
+      });
+      expect(dynamoFx.data).to.deep.equal(items);
+    });
+
+    it('should refuse more than 100 items', async () => {
+      const items = Array.from({ length: 101 }, (_, i) => ({ id: `${i}` }));
+
+      try {
+        await dynamoFx.transactProvision(items);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot write 101 items in one transaction, the limit is 100');
+      }
+      expect(mockDocumentClient.transactWrite).to.not.have.been.called;
+    });
+
+    it('should report the cancellation reasons and track nothing', async () => {
+      const cancelled = Object.assign(new Error('Transaction cancelled, please refer cancellation reasons for specific reasons'), {
+        name: 'TransactionCanceledException',
+        CancellationReasons: [
+          { Code: 'None' },
+          { Code: 'ValidationError', Message: 'Item size has exceeded the maximum allowed size' },
+          { Code: 'TransactionConflict' }
+        ]
+      });
+      mockDocumentClient.transactWrite.rejects(cancelled);
+
+      try {
+        await dynamoFx.transactProvision([{ id: '1' }, { id: '2', blob: 'x' }, { id: '3' }]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Transaction writing 3 items was cancelled:\n' +
+          "  users { id: '2' }: ValidationError (Item size has exceeded the maximum allowed size)\n" +
+          "  users { id: '3' }: TransactionConflict");
+        expect(error.reasons).to.deep.equal([
+          { tableName: 'users', key: { id: '2' }, code: 'ValidationError', message: 'Item size has exceeded the maximum allowed size' },
+          { tableName: 'users', key: { id: '3' }, code: 'TransactionConflict', message: undefined }
+        ]);
+        expect(error.cause).to.equal(cancelled);
+      }
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+
+    it('should rethrow other errors', async () => {
+      mockDocumentClient.transactWrite.rejects(new Error('Network error'));
+
+      try {
+        await dynamoFx.transactProvision([{ id: '1' }]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Network error');
+      }
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+  });
+
+  describe('batchCleanup', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'batch-table', {
+        keySchema: { hashKey: 'pk', rangeKey: 'sk' }
+      });
+    });
+
+    const makeItems = (count) => Array.from({ length: count }, (_, i) => ({ pk: 'p', sk: `s-${i}`, value: i }));
+
+    it('should delete tracked keys in batches of 25', async () => {
+      makeItems(30).forEach(item => dynamoFx.addData(item));
+
+      await dynamoFx.batchCleanup();
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledTwice;
+      const requests = mockDocumentClient.batchWrite.firstCall.args[0].RequestItems['batch-table'];
+      expect(requests).to.have.lengthOf(25);
+      expect(requests[0]).to.deep.equal({ DeleteRequest: { Key: { pk: 'p', sk: 's-0' } } });
+      expect(mockDocumentClient.batchWrite.secondCall.args[0].RequestItems['batch-table']).to.have.lengthOf(5);
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+
+    it('should send each key only once', async () => {
+      const [item] = makeItems(1);
+      dynamoFx.addData(item);
+      dynamoFx.addData({ ...item, value: 'changed' });
+
+      await dynamoFx.batchCleanup();
+
+      expect(mockDocumentClient.batchWrite.firstCall.args[0].RequestItems['batch-table']).to.deep.equal([
+        { DeleteRequest: { Key: { pk: 'p', sk: 's-0' } } }
+      ]);
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+
+    it('should retry unprocessed keys', async () => {
+      makeItems(2).forEach(item => dynamoFx.addData(item));
+      mockDocumentClient.batchWrite
+        .onFirstCall().resolves({ UnprocessedItems: { 'batch-table': [{ DeleteRequest: { Key: { sk: 's-1', pk: 'p' } } }] } })
+        .onSecondCall().resolves({});
+
+      await dynamoFx.batchCleanup({ retryDelay: 0 });
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledTwice;
+      expect(mockDocumentClient.batchWrite.secondCall.args[0].RequestItems['batch-table']).to.deep.equal([
+        { DeleteRequest: { Key: { sk: 's-1', pk: 'p' } } }
+      ]);
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+
+    it('should keep tracking keys that could not be deleted', async () => {
+      const items = makeItems(3);
+      items.forEach(item => dynamoFx.addData(item));
+      mockDocumentClient.batchWrite.resolves({
+        UnprocessedItems: { 'batch-table': [{ DeleteRequest: { Key: { pk: 'p', sk: 's-1' } } }] }
+      });
+
+      try {
+        await dynamoFx.batchCleanup({ maxRetries: 1, retryDelay: 0 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('1 items could not be deleted from batch-table');
+      }
+
+      expect(dynamoFx.data).to.deep.equal([items[1]]);
+    });
+
+    it('should keep tracking the remaining batches when a request fails', async () => {
+      const items = makeItems(30);
+      items.forEach(item => dynamoFx.addData(item));
+      const expectedError = new Error('DynamoDB batchWrite failed');
+      mockDocumentClient.batchWrite.onSecondCall().rejects(expectedError);
+
+      try {
+        await dynamoFx.batchCleanup();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.equal(expectedError);
+      }
+
+      expect(dynamoFx.data).to.deep.equal(items.slice(25));
+    });
+
+    it('should be used by cleanup in batch mode', async () => {
+      const instance = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'batch-table', { cleanupMode: 'batch' });
+      instance.addData({ id: '1' });
+
+      await instance.cleanup();
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledOnce;
+      expect(mockDocumentClient.delete).to.not.have.been.called;
+      expect(instance.data).to.deep.equal([]);
+    });
+
+    it('should not be used by cleanup by default', async () => {
+      const instance = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'batch-table');
+      instance.addData({ id: '1' });
+
+      await instance.cleanup();
+
+      expect(mockDocumentClient.batchWrite).to.not.have.been.called;
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({ TableName: 'batch-table', Key: { id: '1' } });
+    });
+  });
+
+  describe('table lifecycle', () => {
+    const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+    const notFound = () => Object.assign(new Error('Requested resource not found'), { name: 'ResourceNotFoundException' });
+    const inUse = () => Object.assign(new Error('Table already exists'), { name: 'ResourceInUseException' });
+    const sentCommands = (name) => mockBaseClient.send.getCalls().map(call => call.args[0]).filter(command => command.name === name);
+
+    describe('createTable', () => {
+      it('should create the table from key names and wait until it is active', async () => {
+        mockBaseClient.send.resolves({ Table: { TableStatus: 'ACTIVE' } });
+        const instance = new DynamoFx(connConfig, 'users');
+
+        await instance.createTable({
+          keySchema: { hashKey: 'userId', rangeKey: 'createdAt' },
+          attributeTypes: { createdAt: 'N' }
+        });
+
+        expect(sentCommands('CreateTableCommand')[0].input).to.deep.equal({
+          TableName: 'users',
+          KeySchema: [
+            { AttributeName: 'userId', KeyType: 'HASH' },
+            { AttributeName: 'createdAt', KeyType: 'RANGE' }
+          ],
+          BillingMode: 'PAY_PER_REQUEST',
+          AttributeDefinitions: [
+            { AttributeName: 'userId', AttributeType: 'S' },
+            { AttributeName: 'createdAt', AttributeType: 'N' }
+          ]
+        });
+        expect(sentCommands('DescribeTableCommand')).to.have.lengthOf(1);
+        expect(instance.keySchema).to.deep.equal({ hashKey: 'userId', rangeKey: 'createdAt' });
+      });
+
+      it('should create global and local secondary indexes', async () => {
+        mockBaseClient.send.resolves({ Table: { TableStatus: 'ACTIVE' } });
+        const instance = new DynamoFx(connConfig, 'orders', { keySchema: { hashKey: 'pk', rangeKey: 'sk' } });
+
+        await instance.createTable({
+          attributeTypes: { total: 'N' },
+          globalSecondaryIndexes: [
+            { name: 'byStatus', keySchema: { hashKey: 'status', rangeKey: 'sk' }, projection: 'KEYS_ONLY' }
+          ],
+          localSecondaryIndexes: [
+            { name: 'byTotal', keySchema: { hashKey: 'pk', rangeKey: 'total' }, projection: ['status'] }
+          ]
+        });
+
+        const { input } = sentCommands('CreateTableCommand')[0];
+        expect(input.GlobalSecondaryIndexes).to.deep.equal([{
+          IndexName: 'byStatus',
+          KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }, { AttributeName: 'sk', KeyType: 'RANGE' }],
+          Projection: { ProjectionType: 'KEYS_ONLY' }
+        }]);
+        expect(input.LocalSecondaryIndexes).to.deep.equal([{
+          IndexName: 'byTotal',
+          KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }, { AttributeName: 'total', KeyType: 'RANGE' }],
+          Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['status'] }
+        }]);
+        expect(input.AttributeDefinitions).to.deep.equal([
+          { AttributeName: 'pk', AttributeType: 'S' },
+          { AttributeName: 'sk', AttributeType: 'S' },
+          { AttributeName: 'status', AttributeType: 'S' },
+          { AttributeName: 'total', AttributeType: 'N' }
+        ]);
+        expect(instance.indexes).to.deep.equal({
+          byStatus: { keySchema: { hashKey: 'status', rangeKey: 'sk' }, local: false },
+          byTotal: { keySchema: { hashKey: 'pk', rangeKey: 'total' }, local: true }
+        });
+      });
+
+      it('should use the tableDefinition option by default', async () => {
+        mockBaseClient.send.resolves({ Table: { TableStatus: 'ACTIVE' } });
+        const instance = new DynamoFx(connConfig, 'users', { tableDefinition: { keySchema: { hashKey: 'userId' } } });
+
+        await instance.createTable();
+
+        expect(sentCommands('CreateTableCommand')[0].input.KeySchema).to.deep.equal([
+          { AttributeName: 'userId', KeyType: 'HASH' }
+        ]);
+      });
+
+      it('should require a key schema', async () => {
+        const instance = new DynamoFx(connConfig, 'users');
+
+        try {
+          await instance.createTable();
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal('Cannot create table users without a key schema');
+        }
+        expect(mockBaseClient.send).to.not.have.been.called;
+      });
+
+      it('should poll until the table is active', async () => {
+        const clock = sandbox.useFakeTimers();
+        mockBaseClient.send
+          .onFirstCall().resolves({})
+          .onSecondCall().resolves({ Table: { TableStatus: 'CREATING' } })
+          .onThirdCall().resolves({ Table: { TableStatus: 'ACTIVE' } });
+        const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+        const creating = instance.createTable(undefined, { interval: 100 });
+        await clock.tickAsync(100);
+        await creating;
+
+        expect(sentCommands('DescribeTableCommand')).to.have.lengthOf(2);
+      });
+
+      it('should fail when the table does not become active in time', async () => {
+        const clock = sandbox.useFakeTimers();
+        mockBaseClient.send.resolves({ Table: { TableStatus: 'CREATING' } });
+        const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+        const creating = instance.createTable(undefined, { timeout: 1000, interval: 100 }).catch(error => error);
+        await clock.tickAsync(1000);
+        const error = await creating;
+
+        expect(error.message).to.equal('Table users did not become ACTIVE within 1000ms');
+      });
+    });
+
+    describe('ensureTable', () => {
+      it('should create a missing table', async () => {
+        mockBaseClient.send.resolves({ Table: { TableStatus: 'ACTIVE' } });
+        const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+        await instance.ensureTable();
+
+        expect(sentCommands('CreateTableCommand')).to.have.lengthOf(1);
+      });
+
+      it('should wait for an existing table', async () => {
+        mockBaseClient.send.callsFake(async (command) => {
+          if (command.name === 'CreateTableCommand') {
+            throw inUse();
+          }
+          return { Table: { TableStatus: 'ACTIVE' } };
+        });
+        const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+        await instance.ensureTable();
+
+        expect(sentCommands('DescribeTableCommand')).to.have.lengthOf(1);
+      });
+
+      it('should propagate other errors', async () => {
+        const expectedError = new Error('Access denied');
+        mockBaseClient.send.rejects(expectedError);
+        const instance = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'userId' } });
+
+        try {
+          await instance.ensureTable();
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error).to.equal(expectedError);
+        }
+      });
+    });
+
+    describe('dropTable', () => {
+      it('should delete the table and wait until it is gone', async () => {
+        mockBaseClient.send.callsFake(async (command) => {
+          if (command.name === 'DescribeTableCommand') {
+            throw notFound();
+          }
+          return {};
+        });
+        const instance = new DynamoFx(connConfig, 'users');
+
+        await instance.dropTable();
+
+        expect(sentCommands('DeleteTableCommand')[0].input).to.deep.equal({ TableName: 'users' });
+        expect(sentCommands('DescribeTableCommand')).to.have.lengthOf(1);
+      });
+
+      it('should ignore a missing table', async () => {
+        mockBaseClient.send.rejects(notFound());
+        const instance = new DynamoFx(connConfig, 'users');
+
+        await instance.dropTable();
+
+        expect(mockBaseClient.send).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  describe('table isolation', () => {
+    const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+    let workerId;
+
+    beforeEach(() => {
+      workerId = process.env.MOCHA_WORKER_ID;
+      delete process.env.MOCHA_WORKER_ID;
+    });
+
+    afterEach(() => {
+      if (workerId === undefined) {
+        delete process.env.MOCHA_WORKER_ID;
+      } else {
+        process.env.MOCHA_WORKER_ID = workerId;
+      }
+    });
+
+    it('should not change the table name by default', () => {
+      const instance = new DynamoFx(connConfig, 'users');
+
+      expect(instance.tableName).to.equal('users');
+      expect(instance.logicalTableName).to.equal('users');
+      expect(instance.isolated).to.equal(false);
+    });
+
+    it('should derive the table name from the run id and prefix', () => {
+      const instance = new DynamoFx(connConfig, 'users', { isolate: { runId: 'run42', prefix: 'ci_' } });
+
+      expect(instance.tableName).to.equal('ci_users-run42');
+      expect(instance.logicalTableName).to.equal('users');
+      expect(instance.isolated).to.equal(true);
+    });
+
+    it('should share a generated run id across fixtures', () => {
+      const users = new DynamoFx(connConfig, 'users', { isolate: true });
+      const orders = new DynamoFx(connConfig, 'orders', { isolate: true });
+
+      const runId = users.tableName.slice('users-'.length);
+      expect(runId).to.match(/^[a-z0-9]+$/);
+      expect(orders.tableName).to.equal(`orders-${runId}`);
+    });
+
+    it('should include the mocha worker id', () => {
+      process.env.MOCHA_WORKER_ID = '3';
+
+      const instance = new DynamoFx(connConfig, 'users', { isolate: { runId: 'run42' } });
+
+      expect(instance.tableName).to.equal('users-run42-w3');
+    });
+
+    it('should use the isolated table for operations', async () => {
+      const instance = new DynamoFx(connConfig, 'users', { isolate: { runId: 'run42' } });
+
+      await instance.insert({ id: '1' });
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({ TableName: 'users-run42', Item: { id: '1' }, ReturnValues: 'ALL_OLD' });
+    });
+
+    it('should copy the schema of the logical table', async () => {
+      mockBaseClient.send.callsFake(async (command) => {
+        if (command.name === 'DescribeTableCommand' && command.input.TableName === 'users') {
+          return {
+            Table: {
+              KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }],
+              AttributeDefinitions: [
+                { AttributeName: 'userId', AttributeType: 'S' },
+                { AttributeName: 'age', AttributeType: 'N' }
+              ],
+              GlobalSecondaryIndexes: [{
+                IndexName: 'byAge',
+                KeySchema: [{ AttributeName: 'age', KeyType: 'HASH' }],
+                Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['name'] }
+              }]
+            }
+          };
+        }
+        return { Table: { TableStatus: 'ACTIVE' } };
+      });
+      const instance = new DynamoFx(connConfig, 'users', { isolate: { runId: 'run42' } });
+
+      await instance.createTable();
+
+      const create = mockBaseClient.send.getCalls().map(call => call.args[0]).find(command => command.name === 'CreateTableCommand');
+      expect(create.input).to.deep.equal({
+        TableName: 'users-run42',
+        KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }],
+        BillingMode: 'PAY_PER_REQUEST',
+        GlobalSecondaryIndexes: [{
+          IndexName: 'byAge',
+          KeySchema: [{ AttributeName: 'age', KeyType: 'HASH' }],
+          Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['name'] }
+        }],
+        AttributeDefinitions: [
+          { AttributeName: 'userId', AttributeType: 'S' },
+          { AttributeName: 'age', AttributeType: 'N' }
+        ]
+      });
+    });
+
+    it('should drop all isolated tables that were created', async () => {
+      const deletedTables = new Set();
+      mockBaseClient.send.callsFake(async (command) => {
+        if (command.name === 'DeleteTableCommand') {
+          deletedTables.add(command.input.TableName);
+        }
+        if (command.name === 'DescribeTableCommand' && deletedTables.has(command.input.TableName)) {
+          throw Object.assign(new Error('not found'), { name: 'ResourceNotFoundException' });
+        }
+        return { Table: { TableStatus: 'ACTIVE' } };
+      });
+      const isolated = new DynamoFx(connConfig, 'users', { isolate: { runId: 'run42' }, keySchema: { hashKey: 'id' } });
+      const shared = new DynamoFx(connConfig, 'orders', { keySchema: { hashKey: 'id' } });
+      await isolated.createTable();
+      await shared.createTable();
+
+      await DynamoFx.dropIsolatedTables();
+      await DynamoFx.dropIsolatedTables();
+
+      const deleted = mockBaseClient.send.getCalls().map(call => call.args[0]).filter(command => command.name === 'DeleteTableCommand');
+      expect(deleted.map(command => command.input.TableName)).to.deep.equal(['users-run42']);
+    });
+  });
+
+  describe('snapshot and restore', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'seed-table', { keySchema: { hashKey: 'id' } });
+    });
+
+    const writeRequests = () => mockDocumentClient.batchWrite.getCalls()
+      .flatMap(call => call.args[0].RequestItems['seed-table']);
+
+    it('should capture every page of the table', async () => {
+      mockDocumentClient.scan
+        .onFirstCall().resolves({ Items: [{ id: '1' }], LastEvaluatedKey: { id: '1' } })
+        .onSecondCall().resolves({ Items: [{ id: '2' }] });
+
+      const items = await dynamoFx.snapshot();
+
+      expect(items).to.deep.equal([{ id: '1' }, { id: '2' }]);
+      expect(dynamoFx.lastSnapshot).to.equal(items);
+      expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+        TableName: 'seed-table',
+        ConsistentRead: true,
+        ExclusiveStartKey: undefined
+      });
+      expect(mockDocumentClient.scan.secondCall.args[0].ExclusiveStartKey).to.deep.equal({ id: '1' });
+    });
+
+    it('should delete new items and put back modified and deleted ones', async () => {
+      mockDocumentClient.scan.onFirstCall().resolves({
+        Items: [
+          { id: 'same', tags: new Set(['a']), data: new Uint8Array([1]) },
+          { id: 'modified', value: 1 },
+          { id: 'deleted', value: 2 }
+        ]
+      });
+      await dynamoFx.snapshot();
+      mockDocumentClient.scan.onSecondCall().resolves({
+        Items: [
+          { id: 'same', tags: new Set(['a']), data: new Uint8Array([1]) },
+          { id: 'modified', value: 5 },
+          { id: 'new', value: 3 }
+        ]
+      });
+
+      await dynamoFx.restore();
+
+      expect(writeRequests()).to.deep.equal([
+        { PutRequest: { Item: { id: 'modified', value: 1 } } },
+        { PutRequest: { Item: { id: 'deleted', value: 2 } } },
+        { DeleteRequest: { Key: { id: 'new' } } }
+      ]);
+    });
+
+    it('should not write anything when the table is unchanged', async () => {
+      mockDocumentClient.scan.resolves({ Items: [{ id: '1', nested: { list: [1, 2] } }] });
+
+      await dynamoFx.snapshot();
+      await dynamoFx.restore();
+
+      expect(mockDocumentClient.batchWrite).to.not.have.been.called;
+    });
+
+    it('should restore a given snapshot', async () => {
+      await dynamoFx.restore([{ id: '1' }]);
+
+      expect(writeRequests()).to.deep.equal([{ PutRequest: { Item: { id: '1' } } }]);
+    });
+
+    it('should fail without a snapshot', async () => {
+      try {
+        await dynamoFx.restore();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('No snapshot of table seed-table to restore');
+      }
+    });
+
+    it('should fail when writes stay unprocessed', async () => {
+      mockDocumentClient.batchWrite.resolves({
+        UnprocessedItems: { 'seed-table': [{ PutRequest: { Item: { id: '1' } } }] }
+      });
+
+      try {
+        await dynamoFx.restore([{ id: '1' }], { maxRetries: 0 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('1 items could not be restored in seed-table');
+      }
+    });
+  });
+
+  describe('purge', () => {
+    const localConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+
+    const deleteRequests = (tableName) => mockDocumentClient.batchWrite.getCalls()
+      .flatMap(call => call.args[0].RequestItems[tableName]);
+
+    it('should delete every item of every page', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'purge-table', { keySchema: { hashKey: 'pk', rangeKey: 'sk' } });
+      mockDocumentClient.scan
+        .onFirstCall().resolves({ Items: [{ pk: 'a', sk: '1' }], LastEvaluatedKey: { pk: 'a', sk: '1' } })
+        .onSecondCall().resolves({ Items: [{ pk: 'b', sk: '2' }] });
+      dynamoFx.addData({ pk: 'a', sk: '1' });
+
+      const deleted = await dynamoFx.purge();
+
+      expect(deleted).to.equal(2);
+      expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+        TableName: 'purge-table',
+        ProjectionExpression: '#k0, #k1',
+        ExpressionAttributeNames: { '#k0': 'pk', '#k1': 'sk' },
+        ExclusiveStartKey: undefined
+      });
+      expect(deleteRequests('purge-table')).to.deep.equal([
+        { DeleteRequest: { Key: { pk: 'a', sk: '1' } } },
+        { DeleteRequest: { Key: { pk: 'b', sk: '2' } } }
+      ]);
+      expect(dynamoFx.data).to.deep.equal([]);
+    });
+
+    it('should scan in parallel segments', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'purge-table', { keySchema: { hashKey: 'id' } });
+      mockDocumentClient.scan.callsFake(async ({ Segment }) => ({ Items: [{ id: `segment-${Segment}` }] }));
+
+      const deleted = await dynamoFx.purge({ segments: 3 });
+
+      expect(deleted).to.equal(3);
+      const scanned = mockDocumentClient.scan.getCalls().map(call => [call.args[0].Segment, call.args[0].TotalSegments]);
+      expect(scanned).to.deep.equal([[0, 3], [1, 3], [2, 3]]);
+    });
+
+    it('should discover the key schema', async () => {
+      mockBaseClient.send.resolves({ Table: { KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }] } });
+      const dynamoFx = new DynamoFx(localConfig, 'purge-table');
+
+      await dynamoFx.purge();
+
+      expect(mockDocumentClient.scan.firstCall.args[0].ExpressionAttributeNames).to.deep.equal({ '#k0': 'userId' });
+    });
+
+    it('should accept other local endpoints', async () => {
+      for (const endpoint of ['http://127.0.0.1:8000', 'http://[::1]:8000', 'http://dynamodb.localhost', { hostname: 'localhost' }]) {
+        const dynamoFx = new DynamoFx({ endpoint }, 'purge-table', { keySchema: { hashKey: 'id' } });
+
+        expect(await dynamoFx.purge()).to.equal(0);
+      }
+    });
+
+    it('should refuse to purge a table on a remote endpoint', async () => {
+      for (const connConfig of [{ region: 'us-east-1' }, { endpoint: 'https://dynamodb.us-east-1.amazonaws.com' }]) {
+        const dynamoFx = new DynamoFx(connConfig, 'users', { keySchema: { hashKey: 'id' } });
+
+        try {
+          await dynamoFx.purge({ allowTables: [/^test-/, 'other'] });
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal('Refusing to purge table users: the endpoint is not local and the table is not in allowTables');
+        }
+      }
+      expect(mockDocumentClient.scan).to.not.have.been.called;
+    });
+
+    it('should purge an allowed table on a remote endpoint', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1' }, 'test-users', { keySchema: { hashKey: 'id' } });
+
+      await dynamoFx.purge({ allowTables: /^test-/ });
+      await dynamoFx.purge({ allowTables: ['test-users'] });
+
+      expect(mockDocumentClient.scan).to.have.been.calledTwice;
+    });
+
+    it('should apply the configured safety lists to tables allowed for purging', async () => {
+      mockDynamoDBClient.returns({ ...mockBaseClient, config: { region: async () => 'us-east-1' } });
+      const dynamoFx = new DynamoFx({ region: 'us-east-1' }, 'test-users', {
+        keySchema: { hashKey: 'id' },
+        safety: { regions: ['eu-west-1'] }
+      });
+
+      try {
+        await dynamoFx.purge({ allowTables: ['test-users'] });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(/^Refusing to write to table test-users: region us-east-1 is not in safety.regions/);
+      }
+      expect(mockDocumentClient.scan).to.not.have.been.called;
+    });
+
+    it('should reject segment counts that are not positive integers', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'purge-table', { keySchema: { hashKey: 'id' } });
+
+      for (const segments of [0, -1, 1.5, '2', NaN]) {
+        try {
+          await dynamoFx.purge({ segments });
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.match(/^segments must be an integer of at least 1, got /);
+        }
+      }
+      expect(mockDocumentClient.scan).to.not.have.been.called;
+    });
+
+    it('should fail when deletes stay unprocessed', async () => {
+      const dynamoFx = new DynamoFx(localConfig, 'purge-table', { keySchema: { hashKey: 'id' } });
+      mockDocumentClient.scan.resolves({ Items: [{ id: '1' }] });
+      mockDocumentClient.batchWrite.resolves({ UnprocessedItems: { 'purge-table': [{ DeleteRequest: { Key: { id: '1' } } }] } });
+
+      try {
+        await dynamoFx.purge({ maxRetries: 0 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('1 items could not be deleted from purge-table');
+      }
+    });
+  });
+
+  describe('fixture files', () => {
+    let dir;
+    let dynamoFx;
+
+    const writeFile = (name, contents) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, contents);
+      return file;
+    };
+
+    const expectRejection = async (promise, message) => {
+      try {
+        await promise;
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(message);
+      }
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamofx-'));
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should provision a JSON array', async () => {
+      const file = writeFile('users.json', JSON.stringify([{ id: '1' }, { id: '2' }]));
+
+      const items = await dynamoFx.provisionFromFile(file);
+
+      expect(items).to.deep.equal([{ id: '1' }, { id: '2' }]);
+      expect(mockDocumentClient.put).to.have.been.calledTwice;
+      expect(dynamoFx.data).to.deep.equal([{ id: '1' }, { id: '2' }]);
+    });
+
+    it('should provision NDJSON records', async () => {
+      const file = writeFile('users.ndjson', '{"id":"1"}\n\n{"id":"2","n":2}\n');
+
+      const items = await dynamoFx.provisionFromFile(file);
+
+      expect(items).to.deep.equal([{ id: '1' }, { id: '2', n: 2 }]);
+    });
+
+    it('should provision YAML records', async () => {
+      const file = writeFile('users.yml', '- id: "1"\n  tags: [a, b]\n- id: "2"\n');
+
+      const items = await dynamoFx.provisionFromFile(file);
+
+      expect(items).to.deep.equal([{ id: '1', tags: ['a', 'b'] }, { id: '2' }]);
+    });
+
+    it('should provision this table from a multi-table file', async () => {
+      const file = writeFile('scenario.yaml', 'users:\n  - id: u1\norders:\n  - id: o1\n');
+
+      const items = await dynamoFx.provisionFromFile(file);
+
+      expect(items).to.deep.equal([{ id: 'u1' }]);
+    });
+
+    it('should provision with batchProvision', async () => {
+      const file = writeFile('users.json', JSON.stringify([{ id: '1' }]));
+
+      await dynamoFx.provisionFromFile(file, { batch: true });
+
+      expect(mockDocumentClient.batchWrite).to.have.been.calledOnce;
+      expect(mockDocumentClient.put).to.not.have.been.called;
+      expect(dynamoFx.data).to.deep.equal([{ id: '1' }]);
+    });
+
+    it('should let the last of duplicate JSON keys win like JSON.parse', async () => {
+      const file = writeFile('users.json', '[{ "id": "1", "name": "first", "name": "second" }]');
+
+      const items = await dynamoFx.provisionFromFile(file);
+
+      expect(items).to.deep.equal([{ id: '1', name: 'second' }]);
+    });
+
+    it('should keep the digits of integers beyond double precision', async () => {
+      const json = writeFile('users.json', '[{ "id": "1", "big": 12345678901234567890, "small": 42, "ratio": 0.5 }]');
+      const ndjson = writeFile('users.ndjson', '{"id":"2","big":-12345678901234567890,"small":42}\n');
+      const yaml = writeFile('users.yaml', '- id: "3"\n  big: 12345678901234567890\n  small: 42\n');
+
+      const [fromJson] = await DynamoFx.readFixtureFile(json);
+      const [fromNdjson] = await DynamoFx.readFixtureFile(ndjson);
+      const [fromYaml] = await DynamoFx.readFixtureFile(yaml);
+
+      expect(fromJson.big).to.be.instanceof(NumberValue);
+      expect(fromJson.big.toString()).to.equal('12345678901234567890');
+      expect(fromJson).to.include({ small: 42, ratio: 0.5 });
+      expect(fromNdjson.big.toString()).to.equal('-12345678901234567890');
+      expect(fromNdjson.small).to.equal(42);
+      expect(fromYaml.big.toString()).to.equal('12345678901234567890');
+      expect(fromYaml.small).to.equal(42);
+    });
+
+    it('should report the line of a malformed NDJSON record', async () => {
+      const file = writeFile('users.ndjson', '{"id":"1"}\n{"id":\n');
+
+      try {
+        await dynamoFx.provisionFromFile(file);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(new RegExp(`^${file}:2: `));
+      }
+    });
+
+    it('should report the line of a record that is not an object', async () => {
+      await expectRejection(
+        dynamoFx.provisionFromFile(writeFile('a.json', '[\n  {"id": "1"},\n  5\n]')),
+        `${path.join(dir, 'a.json')}:3: record is not an object`
+      );
+      await expectRejection(
+        dynamoFx.provisionFromFile(writeFile('b.yaml', 'users:\n  - id: u1\n  - [u2]\n')),
+        `${path.join(dir, 'b.yaml')}:3: record is not an object`
+      );
+      await expectRejection(
+        dynamoFx.provisionFromFile(writeFile('c.ndjson', '{"id":"1"}\n"text"\n')),
+        `${path.join(dir, 'c.ndjson')}:2: record is not an object`
+      );
+      expect(mockDocumentClient.put).to.not.have.been.called;
+    });
+
+    it('should report the line of a syntax error', async () => {
+      const file = writeFile('users.json', '[\n  {"id": "1"}\n  {"id": "2"}\n]');
+
+      try {
+        await dynamoFx.provisionFromFile(file);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(new RegExp(`^${file}:3: `));
+      }
+    });
+
+    it('should report the line of a YAML syntax error', async () => {
+      const file = writeFile('users.yaml', '- id: "1"\n- id: [2\n');
+
+      try {
+        await dynamoFx.provisionFromFile(file);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(new RegExp(`^${file}:3: `));
+      }
+    });
+
+    it('should reject a table entry that is not a list', async () => {
+      await expectRejection(
+        dynamoFx.provisionFromFile(writeFile('scenario.yaml', 'users:\n  - id: u1\norders: 5\n')),
+        `${path.join(dir, 'scenario.yaml')}:3: table orders must be a list of records`
+      );
+    });
+
+    it('should reject unsupported file types', async () => {
+      await expectRejection(
+        dynamoFx.provisionFromFile(writeFile('users.csv', 'id\n1')),
+        `Unsupported fixture file ${path.join(dir, 'users.csv')}: expected .json, .yaml, .yml, .ndjson, .jsonl`
+      );
+    });
+
+    it('should provision the files of a directory in order', async () => {
+      writeFile('b-scenario.json', JSON.stringify({ users: [{ id: 'b' }], orders: [{ id: 'o' }] }));
+      writeFile('a-scenario.yaml', 'users:\n  - id: a\n');
+      writeFile('users.ndjson', '{"id":"c"}\n');
+      writeFile('orders.json', JSON.stringify([{ id: 'o2' }]));
+      writeFile('notes.txt', 'ignored');
+
+      const items = await dynamoFx.provisionFromDirectory(dir);
+
+      expect(items).to.deep.equal([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+    });
+
+    it('should read fixture files without provisioning them', async () => {
+      const file = writeFile('scenario.json', JSON.stringify({ users: [{ id: '1' }] }));
+
+      const records = await DynamoFx.readFixtureFile(file);
+
+      expect(records).to.deep.equal({ users: [{ id: '1' }] });
+      expect(mockDocumentClient.put).to.not.have.been.called;
+    });
+  });
+
+  describe('exportToFile', () => {
+    let dir;
+    let dynamoFx;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamofx-'));
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'events', { keySchema: { hashKey: 'pk', rangeKey: 'sk' } });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // the export scans with the base client, which returns marshalled items
+    const scanPage = (items, lastEvaluatedKey) => ({
+      Items: items.map(item => marshall(item)),
+      LastEvaluatedKey: lastEvaluatedKey && marshall(lastEvaluatedKey)
+    });
+
+    it('should write the items ordered by key', async () => {
+      mockBaseClient.send
+        .onFirstCall().resolves(scanPage([{ pk: 'b', sk: 1 }, { pk: 'a', sk: 10 }], { pk: 'a', sk: 10 }))
+        .onSecondCall().resolves(scanPage([{ pk: 'a', sk: 9, name: 'x' }]));
+      const file = path.join(dir, 'events.json');
+
+      const items = await dynamoFx.exportToFile(file);
+
+      expect(items).to.deep.equal([{ pk: 'a', sk: 9, name: 'x' }, { pk: 'a', sk: 10 }, { pk: 'b', sk: 1 }]);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal([
+        { name: 'x', pk: 'a', sk: 9 },
+        { pk: 'a', sk: 10 },
+        { pk: 'b', sk: 1 }
+      ]);
+      expect(mockBaseClient.send.firstCall.args[0].name).to.equal('ScanCommand');
+      expect(mockBaseClient.send.secondCall.args[0].input.ExclusiveStartKey).to.deep.equal({ pk: { S: 'a' }, sk: { N: '10' } });
+    });
+
+    it('should encode Sets, binary values and large numbers', async () => {
+      mockBaseClient.send.resolves(scanPage([{
+        pk: 'a',
+        sk: 1,
+        tags: new Set(['x', 'y']),
+        scores: new Set([1, 2]),
+        data: Buffer.from('hello'),
+        big: NumberValue.from('12345678901234567890123'),
+        nested: { list: [new Uint8Array([1, 2])] }
+      }]));
+      const file = path.join(dir, 'events.ndjson');
+
+      await dynamoFx.exportToFile(file);
+
+      expect(fs.readFileSync(file, 'utf8')).to.equal(`${JSON.stringify({
+        big: { $number: '12345678901234567890123' },
+        data: { $binary: 'aGVsbG8=' },
+        nested: { list: [{ $binary: 'AQI=' }] },
+        pk: 'a',
+        scores: { $set: [1, 2] },
+        sk: 1,
+        tags: { $set: ['x', 'y'] }
+      })}\n`);
+    });
+
+    it('should round trip through the file loader', async () => {
+      const item = {
+        pk: 'a',
+        sk: 1,
+        tags: new Set(['x']),
+        blobs: new Set([Buffer.from('b')]),
+        data: Buffer.from('hello'),
+        big: NumberValue.from('12345678901234567890123'),
+        precise: NumberValue.from('0.12345678901234567890123'),
+        ratio: 0.25
+      };
+      mockBaseClient.send.resolves(scanPage([item]));
+
+      for (const name of ['events.json', 'events.ndjson']) {
+        const file = path.join(dir, name);
+        await dynamoFx.exportToFile(file);
+
+        const [record] = await DynamoFx.readFixtureFile(file);
+
+        expect(record.tags).to.deep.equal(new Set(['x']));
+        expect([...record.blobs][0].equals(Buffer.from('b'))).to.equal(true);
+        expect(record.data.equals(Buffer.from('hello'))).to.equal(true);
+        expect(record.big).to.be.instanceof(NumberValue);
+        expect(record.big.toString()).to.equal('12345678901234567890123');
+        expect(record.precise).to.be.instanceof(NumberValue);
+        expect(record.precise.toString()).to.equal('0.12345678901234567890123');
+        expect(record.ratio).to.equal(0.25);
+      }
+    });
+
+    it('should filter by key prefix and filter expression', async () => {
+      const file = path.join(dir, 'events.json');
+
+      await dynamoFx.exportToFile(file, {
+        keyPrefix: 'user#',
+        filter: { expression: '#status = :status', names: { '#status': 'status' }, values: { ':status': 'open' } }
+      });
+
+      expect(mockBaseClient.send.firstCall.args[0].input).to.deep.equal({
+        TableName: 'events',
+        ConsistentRead: true,
+        FilterExpression: 'begins_with(#exportHashKey, :exportKeyPrefix) AND (#status = :status)',
+        ExpressionAttributeNames: { '#exportHashKey': 'pk', '#status': 'status' },
+        ExpressionAttributeValues: { ':exportKeyPrefix': { S: 'user#' }, ':status': { S: 'open' } },
+        ExclusiveStartKey: undefined
+      });
+    });
+
+    it('should reject unsupported file types', async () => {
+      try {
+        await dynamoFx.exportToFile(path.join(dir, 'events.yaml'));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(/^Unsupported export file .*events\.yaml: expected \.json, \.ndjson or \.jsonl$/);
+      }
+      expect(mockBaseClient.send).to.not.have.been.called;
+    });
+  });
+
+  describe('factories', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users').define({
+        id: (item, n) => `user-${n}`,
+        name: 'Test User',
+        email: (item) => `${item.id}@example.com`,
+        address: { city: 'Springfield' },
+        role: 'member'
+      }, {
+        traits: {
+          admin: { role: 'admin', permissions: ['all'] },
+          named: { name: (item, n) => `User ${n}` }
+        }
+      });
+    });
+
+    it('should build items from the defaults with a sequence', () => {
+      const items = dynamoFx.build(2);
+
+      expect(items).to.deep.equal([
+        { id: 'user-1', name: 'Test User', email: 'user-1@example.com', address: { city: 'Springfield' }, role: 'member' },
+        { id: 'user-2', name: 'Test User', email: 'user-2@example.com', address: { city: 'Springfield' }, role: 'member' }
+      ]);
+      expect(mockDocumentClient.put).to.not.have.been.called;
+    });
+
+    it('should continue the sequence across builds', () => {
+      dynamoFx.build(2);
+
+      const [item] = dynamoFx.build();
+
+      expect(item.id).to.equal('user-3');
+    });
+
+    it('should not share nested values between items', () => {
+      const [first, second] = dynamoFx.build(2);
+
+      first.address.city = 'Shelbyville';
+
+      expect(second.address.city).to.equal('Springfield');
+    });
+
+    it('should apply traits and overrides in order', () => {
+      const [item] = dynamoFx.build(1, 'admin', 'named', { role: 'owner', id: 'fixed' });
+
+      expect(item).to.deep.equal({
+        id: 'fixed',
+        name: 'User 1',
+        email: 'fixed@example.com',
+        address: { city: 'Springfield' },
+        role: 'owner',
+        permissions: ['all']
+      });
+    });
+
+    it('should leave out attributes overridden with undefined', () => {
+      const [item] = dynamoFx.build(1, { address: undefined, email: () => undefined });
+
+      expect(item).to.not.have.property('address');
+      expect(item).to.not.have.property('email');
+    });
+
+    it('should reject unknown traits', () => {
+      expect(() => dynamoFx.build(1, 'superuser')).to.throw('Unknown trait "superuser" for table users');
+    });
+
+    it('should require a definition', () => {
+      const instance = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders');
+
+      expect(() => instance.build(1)).to.throw('No factory is defined for table orders, call define() first');
+    });
+
+    it('should create and track items', async () => {
+      const items = await dynamoFx.create(2, 'admin');
+
+      expect(items).to.have.lengthOf(2);
+      expect(mockDocumentClient.put).to.have.been.calledTwice;
+      expect(mockDocumentClient.put.firstCall.args[0]).to.deep.equal({ TableName: 'users', Item: items[0], ReturnValues: 'ALL_OLD' });
+      expect(dynamoFx.data).to.deep.equal(items);
+    });
+  });
+
+  describe('assertions', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } });
+    });
+
+    const expectAssertionError = async (promise, message) => {
+      try {
+        await promise;
+      } catch (error) {
+        expect(error.name).to.equal('AssertionError');
+        expect(error.message).to.equal(message);
+        return error;
+      }
+      expect.fail('Should have thrown an AssertionError');
+    };
+
+    describe('expectItem', () => {
+      it('should read the item consistently and return it', async () => {
+        const item = { id: '1', name: 'Test', address: { city: 'Springfield', zip: '1' } };
+        mockDocumentClient.get.resolves({ Item: item });
+
+        const result = await dynamoFx.expectItem({ id: '1', other: 'ignored' }, { name: 'Test', address: { city: 'Springfield' } });
+
+        expect(result).to.equal(item);
+        expect(mockDocumentClient.get).to.have.been.calledOnceWith({ TableName: 'users', Key: { id: '1' }, ConsistentRead: true });
+      });
+
+      it('should list every differing attribute', async () => {
+        mockDocumentClient.get.resolves({ Item: { id: '1', name: 'John', address: { city: 'Springfield' }, tags: new Set(['a']) } });
+
+        const error = await expectAssertionError(
+          dynamoFx.expectItem({ id: '1' }, { name: 'Jane', status: 'active', address: { city: 'Shelbyville' }, tags: new Set(['a']) }),
+          "Item { id: '1' } in users does not match:\n" +
+          "  name: expected 'Jane', got 'John'\n" +
+          "  status: expected 'active', got undefined\n" +
+          "  address.city: expected 'Shelbyville', got 'Springfield'"
+        );
+        expect(error.actual).to.deep.equal({ name: 'John', status: undefined, address: { city: 'Springfield' }, tags: new Set(['a']) });
+        expect(error.expected).to.deep.equal({ name: 'Jane', status: 'active', address: { city: 'Shelbyville' }, tags: new Set(['a']) });
+      });
+
+      it('should fail when the item is missing', async () => {
+        mockDocumentClient.get.resolves({});
+
+        await expectAssertionError(
+          dynamoFx.expectItem({ id: '1' }),
+          "Expected an item with key { id: '1' } in users, but there is none"
+        );
+      });
+    });
+
+    describe('expectNoItem', () => {
+      it('should pass when the item is missing', async () => {
+        mockDocumentClient.get.resolves({});
+
+        await dynamoFx.expectNoItem({ id: '1' });
+      });
+
+      it('should fail when the item exists', async () => {
+        mockDocumentClient.get.resolves({ Item: { id: '1', name: 'Test' } });
+
+        await expectAssertionError(
+          dynamoFx.expectNoItem({ id: '1' }),
+          "Expected no item with key { id: '1' } in users, but found { id: '1', name: 'Test' }"
+        );
+      });
+    });
+
+    describe('expectCount', () => {
+      it('should count matching items across pages', async () => {
+        mockDocumentClient.scan
+          .onFirstCall().resolves({ Count: 2, LastEvaluatedKey: { id: '2' } })
+          .onSecondCall().resolves({ Count: 1 });
+
+        await dynamoFx.expectCount({ status: 'open', type: 'user' }, 3);
+
+        expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+          TableName: 'users',
+          Select: 'COUNT',
+          ConsistentRead: true,
+          FilterExpression: '#n0 = :v0 AND #n1 = :v1',
+          ExpressionAttributeNames: { '#n0': 'status', '#n1': 'type' },
+          ExpressionAttributeValues: { ':v0': 'open', ':v1': 'user' },
+          ExclusiveStartKey: undefined
+        });
+      });
+
+      it('should count the whole table without conditions', async () => {
+        mockDocumentClient.scan.resolves({ Count: 4 });
+
+        await dynamoFx.expectCount({}, 4);
+
+        expect(mockDocumentClient.scan.firstCall.args[0]).to.not.have.property('FilterExpression');
+      });
+
+      it('should fail with the actual count', async () => {
+        mockDocumentClient.scan.resolves({ Count: 1 });
+
+        await expectAssertionError(
+          dynamoFx.expectCount({ status: 'open' }, 2),
+          "Expected 2 items matching { status: 'open' } in users, but found 1"
+        );
+      });
+    });
+
+    describe('waitForItem', () => {
+      it('should poll until the item satisfies the predicate', async () => {
+        const clock = sandbox.useFakeTimers();
+        mockDocumentClient.get
+          .onFirstCall().resolves({})
+          .onSecondCall().resolves({ Item: { id: '1', status: 'pending' } })
+          .onThirdCall().resolves({ Item: { id: '1', status: 'done' } });
+
+        const waiting = dynamoFx.waitForItem({ id: '1' }, item => item.status === 'done', { interval: 50 });
+        await clock.tickAsync(100);
+        const item = await waiting;
+
+        expect(item).to.deep.equal({ id: '1', status: 'done' });
+        expect(mockDocumentClient.get).to.have.been.calledThrice;
+        expect(mockDocumentClient.get.firstCall.args[0]).to.deep.equal({ TableName: 'users', Key: { id: '1' }, ConsistentRead: true });
+      });
+
+      it('should accept expected attributes or no predicate', async () => {
+        mockDocumentClient.get.resolves({ Item: { id: '1', status: 'done', count: 2 } });
+
+        expect(await dynamoFx.waitForItem({ id: '1' }, { status: 'done' })).to.deep.equal({ id: '1', status: 'done', count: 2 });
+        expect(await dynamoFx.waitForItem({ id: '1' })).to.deep.equal({ id: '1', status: 'done', count: 2 });
+      });
+
+      it('should fail with the last observed item', async () => {
+        const clock = sandbox.useFakeTimers();
+        mockDocumentClient.get.resolves({ Item: { id: '1', status: 'pending' } });
+
+        const waiting = dynamoFx.waitForItem({ id: '1' }, { status: 'done' }, { timeout: 1000, interval: 100 }).catch(error => error);
+        await clock.tickAsync(1000);
+        const error = await waiting;
+
+        expect(error.name).to.equal('AssertionError');
+        expect(error.message).to.equal("Timed out waiting for item { id: '1' } in users, last observed { id: '1', status: 'pending' }");
+        expect(error.actual).to.deep.equal({ id: '1', status: 'pending' });
+        expect(mockDocumentClient.get.callCount).to.equal(11);
+      });
+    });
+
+    describe('waitForItemGone', () => {
+      it('should poll until the item is removed', async () => {
+        const clock = sandbox.useFakeTimers();
+        mockDocumentClient.get
+          .onFirstCall().resolves({ Item: { id: '1' } })
+          .onSecondCall().resolves({});
+
+        const waiting = dynamoFx.waitForItemGone({ id: '1' });
+        await clock.tickAsync(100);
+        await waiting;
+
+        expect(mockDocumentClient.get).to.have.been.calledTwice;
+      });
+
+      it('should fail with the last observed item', async () => {
+        const clock = sandbox.useFakeTimers();
+        mockDocumentClient.get.resolves({ Item: { id: '1' } });
+
+        const waiting = dynamoFx.waitForItemGone({ id: '1' }).catch(error => error);
+        await clock.tickAsync(1500);
+        const error = await waiting;
+
+        expect(error.message).to.equal("Timed out waiting for item { id: '1' } in users to be removed, last observed { id: '1' }");
+      });
+    });
+
+    describe('chai plugin', () => {
+      before(() => {
+        chai.use(DynamoFx.chaiPlugin);
+      });
+
+      it('should assert that the fixture contains an item', async () => {
+        mockDocumentClient.get.resolves({ Item: { id: '1', name: 'Test' } });
+
+        await expect(dynamoFx).to.contain.item({ id: '1' }, { name: 'Test' });
+        await expectAssertionError(
+          expect(dynamoFx).to.contain.item({ id: '1' }, { name: 'Other' }),
+          "Item { id: '1' } in users does not match:\n  name: expected 'Other', got 'Test'"
+        );
+      });
+
+      it('should assert that the fixture does not contain an item', async () => {
+        mockDocumentClient.get.resolves({});
+        await expect(dynamoFx).not.to.contain.item({ id: '1' });
+
+        mockDocumentClient.get.resolves({ Item: { id: '1', name: 'Test' } });
+        await expect(dynamoFx).not.to.contain.item({ id: '1' }, { name: 'Other' });
+        await expectAssertionError(
+          expect(dynamoFx).not.to.contain.item({ id: '1' }, { name: 'Test' }),
+          "Expected item { id: '1' } in users not to match { name: 'Test' }"
+        );
+        await expectAssertionError(
+          expect(dynamoFx).not.to.contain.item({ id: '1' }),
+          "Expected no item with key { id: '1' } in users, but found { id: '1', name: 'Test' }"
+        );
+      });
+    });
+  });
+
+  describe('adopt', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders', { keySchema: { hashKey: 'customer', rangeKey: 'order' } });
+    });
+
+    it('should track existing items and skip missing ones', async () => {
+      mockDocumentClient.get
+        .onFirstCall().resolves({ Item: { customer: 'c1', order: 'o1', total: 5 } })
+        .onSecondCall().resolves({});
+
+      const adopted = await dynamoFx.adopt([{ customer: 'c1', order: 'o1' }, { customer: 'c1', order: 'o2' }]);
+
+      expect(adopted).to.deep.equal([{ customer: 'c1', order: 'o1', total: 5 }]);
+      expect(dynamoFx.data).to.deep.equal(adopted);
+      expect(mockDocumentClient.get.firstCall.args[0]).to.deep.equal({
+        TableName: 'orders',
+        Key: { customer: 'c1', order: 'o1' },
+        ConsistentRead: true
+      });
+    });
+
+    it('should not track an item twice', async () => {
+      mockDocumentClient.get.resolves({ Item: { customer: 'c1', order: 'o1' } });
+      dynamoFx.addData({ order: 'o1', customer: 'c1' });
+
+      const adopted = await dynamoFx.adopt({ customer: 'c1', order: 'o1' });
+
+      expect(adopted).to.deep.equal([]);
+      expect(dynamoFx.data).to.have.length(1);
+    });
+
+    it('should adopt the items of a partition', async () => {
+      mockDocumentClient.query.resolves({ Items: [{ customer: 'c1', order: 'o1' }, { customer: 'c1', order: 'o2' }] });
+
+      const adopted = await dynamoFx.adoptQuery('c1', { sortKeyCondition: { beginsWith: 'o' } });
+
+      expect(adopted).to.have.length(2);
+      expect(dynamoFx.data).to.deep.equal(adopted);
+    });
+
+    it('should adopt the items added after the keys were captured', async () => {
+      mockDocumentClient.scan
+        .onFirstCall().resolves({ Items: [{ customer: 'c1', order: 'o1' }] })
+        .onSecondCall().resolves({ Items: [{ customer: 'c1', order: 'o1', total: 1 }, { customer: 'c2', order: 'o9', total: 2 }] });
+
+      const keys = await dynamoFx.captureKeys();
+      const adopted = await dynamoFx.adoptNew();
+
+      expect(keys).to.equal(dynamoFx.capturedKeys);
+      expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+        TableName: 'orders',
+        ProjectionExpression: '#n0, #n1',
+        ConsistentRead: true,
+        ExpressionAttributeNames: { '#n0': 'customer', '#n1': 'order' },
+        ExclusiveStartKey: undefined
+      });
+      expect(adopted).to.deep.equal([{ customer: 'c2', order: 'o9', total: 2 }]);
+      expect(dynamoFx.data).to.deep.equal(adopted);
+    });
+
+    it('should require captured keys to adopt new items', async () => {
+      try {
+        await dynamoFx.adoptNew();
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('No keys of table orders were captured, call captureKeys() first');
+      }
+    });
+  });
+
+  describe('ttl', () => {
+    const now = Date.UTC(2024, 0, 1);
+
+    beforeEach(() => {
+      sandbox.useFakeTimers({ now });
+    });
+
+    it('should stamp an expiry time on inserted items', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { ttl: true });
+
+      await dynamoFx.insert({ id: 'user1' });
+
+      expect(mockDocumentClient.put.firstCall.args[0].Item).to.deep.equal({ id: 'user1', expiresAt: now / 1000 + 3600 });
+    });
+
+    it('should use the configured attribute and lifetime without changing the item', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { ttl: { attribute: 'ttl', minutes: 5 } });
+      const item = { id: 'user1' };
+
+      await dynamoFx.provision([item]);
+      await dynamoFx.insert({ id: 'user2', ttl: 1 });
+
+      expect(mockDocumentClient.put.firstCall.args[0].Item).to.deep.equal({ id: 'user1', ttl: now / 1000 + 300 });
+      expect(mockDocumentClient.put.secondCall.args[0].Item).to.deep.equal({ id: 'user2', ttl: 1 });
+      expect(item).to.deep.equal({ id: 'user1' });
+    });
+
+    it('should stamp batch provisioned items', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' }, ttl: { minutes: 1 } });
+
+      await dynamoFx.batchProvision([{ id: 'user1' }]);
+
+      expect(mockDocumentClient.batchWrite.firstCall.args[0].RequestItems.users).to.deep.equal([
+        { PutRequest: { Item: { id: 'user1', expiresAt: now / 1000 + 60 } } }
+      ]);
+      expect(dynamoFx.data).to.deep.equal([{ id: 'user1' }]);
+    });
+
+    it('should not stamp items without the ttl option', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users');
+
+      await dynamoFx.insert({ id: 'user1' });
+
+      expect(mockDocumentClient.put.firstCall.args[0].Item).to.deep.equal({ id: 'user1' });
+    });
+
+    it('should enable TTL on tables the fixture creates', async () => {
+      mockBaseClient.send.resolves({ Table: { TableStatus: 'ACTIVE' } });
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' }, ttl: { attribute: 'ttl' } });
+
+      await dynamoFx.createTable();
+
+      const command = mockBaseClient.send.lastCall.args[0];
+      expect(command.name).to.equal('UpdateTimeToLiveCommand');
+      expect(command.input).to.deep.equal({
+        TableName: 'users',
+        TimeToLiveSpecification: { AttributeName: 'ttl', Enabled: true }
+      });
+    });
+
+    it('should require a TTL attribute to enable TTL', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users');
+
+      try {
+        await dynamoFx.enableTtl();
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot enable TTL on table users without a TTL attribute');
+      }
+    });
+  });
+
+  describe('run markers', () => {
+    const now = Date.UTC(2024, 0, 1);
+
+    beforeEach(() => {
+      sandbox.useFakeTimers({ now });
+    });
+
+    it('should tag inserted items with the run', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { marker: { runId: 'run-1', suite: 'users api' } });
+
+      await dynamoFx.insert({ id: 'user1' });
+
+      expect(mockDocumentClient.put.firstCall.args[0].Item).to.deep.equal({
+        id: 'user1',
+        fixtureRun: { runId: 'run-1', suite: 'users api', createdAt: now }
+      });
+    });
+
+    it('should default to the process run id and combine with ttl', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { marker: { attribute: 'run' }, ttl: true });
+
+      await dynamoFx.insert({ id: 'user1' });
+
+      const { Item } = mockDocumentClient.put.firstCall.args[0];
+      expect(Item.run).to.have.all.keys('runId', 'createdAt');
+      expect(Item.run.runId).to.be.a('string').that.is.not.empty;
+      expect(Item.expiresAt).to.equal(now / 1000 + 3600);
+    });
+
+    it('should delete the items of a run', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'orders', { keySchema: { hashKey: 'customer', rangeKey: 'order' } });
+      dynamoFx.addData({ customer: 'c1', order: 'o1', total: 1 });
+      dynamoFx.addData({ customer: 'c2', order: 'o1', total: 2 });
+      mockDocumentClient.scan
+        .onFirstCall().resolves({ Items: [{ customer: 'c1', order: 'o1' }], LastEvaluatedKey: { customer: 'c1', order: 'o1' } })
+        .onSecondCall().resolves({ Items: [{ customer: 'c1', order: 'o2' }] });
+
+      const deleted = await dynamoFx.cleanupRun('run-1');
+
+      expect(deleted).to.equal(2);
+      expect(mockDocumentClient.scan.firstCall.args[0]).to.deep.equal({
+        TableName: 'orders',
+        ProjectionExpression: '#n2, #n3',
+        FilterExpression: '#n0.#n1 = :v0',
+        ConsistentRead: true,
+        ExpressionAttributeNames: { '#n0': 'fixtureRun', '#n1': 'runId', '#n2': 'customer', '#n3': 'order' },
+        ExpressionAttributeValues: { ':v0': 'run-1' },
+        ExclusiveStartKey: undefined
+      });
+      expect(mockDocumentClient.batchWrite.firstCall.args[0].RequestItems.orders).to.deep.equal([
+        { DeleteRequest: { Key: { customer: 'c1', order: 'o1' } } }
+      ]);
+      expect(dynamoFx.data).to.deep.equal([{ customer: 'c2', order: 'o1', total: 2 }]);
+    });
+
+    it('should delete the items of this fixture\'s run by default', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' }, marker: { attribute: 'run', runId: 'run-2' } });
+
+      await dynamoFx.cleanupRun();
+
+      const input = mockDocumentClient.scan.firstCall.args[0];
+      expect(input.ExpressionAttributeNames).to.include({ '#n0': 'run', '#n1': 'runId' });
+      expect(input.ExpressionAttributeValues).to.deep.equal({ ':v0': 'run-2' });
+    });
+
+    it('should delete items marked longer ago than a duration', async () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } });
+
+      await dynamoFx.cleanupOlderThan('2h');
+      await dynamoFx.cleanupOlderThan(500);
+
+      const [first, second] = mockDocumentClient.scan.getCalls().map(call => call.args[0]);
+      expect(first.FilterExpression).to.equal('#n0.#n1 < :v0');
+      expect(first.ExpressionAttributeNames).to.include({ '#n0': 'fixtureRun', '#n1': 'createdAt' });
+      expect(first.ExpressionAttributeValues).to.deep.equal({ ':v0': now - 2 * 60 * 60 * 1000 });
+      expect(second.ExpressionAttributeValues).to.deep.equal({ ':v0': now - 500 });
+    });
+
+    it('should reject invalid durations', () => {
+      const dynamoFx = new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } });
+
+      expect(() => dynamoFx.cleanupOlderThan('two hours'))
+        .to.throw('Invalid duration "two hours", expected milliseconds or a number with a unit like "30m", "2h" or "1d"');
+    });
+  });
+
+  describe('safety', () => {
+    const remoteConfig = { region: 'eu-west-1' };
+    const expectRefusal = async (write, message) => {
+      try {
+        await write();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(message);
+      }
+    };
+
+    beforeEach(() => {
+      mockBaseClient.config = {
+        region: sandbox.stub().resolves('eu-west-1'),
+        credentials: sandbox.stub().resolves({ accessKeyId: 'key', accountId: '123456789012' })
+      };
+    });
+
+    it('should refuse writes and deletes on a remote endpoint by default', async () => {
+      const dynamoFx = new DynamoFx(remoteConfig, 'users', { keySchema: { hashKey: 'id' } });
+      const message = 'Refusing to write to table users: the AWS endpoint is not local, and only local endpoints are ' +
+        'allowed by default. Allow it with the safety option, or pass safety: { unsafe: true }';
+
+      await expectRefusal(() => dynamoFx.insert({ id: '1' }), message);
+      await expectRefusal(() => dynamoFx.remove({ id: '1' }), message);
+      await expectRefusal(() => dynamoFx.batchProvision([{ id: '1' }]), message);
+      await expectRefusal(() => dynamoFx.dropTable(), message);
+
+      expect(mockDocumentClient.put).to.not.have.been.called;
+      expect(mockDocumentClient.delete).to.not.have.been.called;
+      expect(mockDocumentClient.batchWrite).to.not.have.been.called;
+      expect(mockBaseClient.send).to.not.have.been.called;
+    });
+
+    it('should name a configured remote endpoint', async () => {
+      const dynamoFx = new DynamoFx({ endpoint: 'https://dynamodb.eu-west-1.amazonaws.com' }, 'users');
+
+      await expectRefusal(() => dynamoFx.insert({ id: '1' }), 'Refusing to write to table users: endpoint ' +
+        'dynamodb.eu-west-1.amazonaws.com is not local, and only local endpoints are allowed by default. Allow it ' +
+        'with the safety option, or pass safety: { unsafe: true }');
+    });
+
+    it('should allow remote targets matching every configured allowlist', async () => {
+      const allowed = [
+        { endpoints: /\.dev\.internal$/ },
+        { regions: 'eu-west-1' },
+        { regions: [/^eu-/], accounts: '123456789012' }
+      ];
+      for (const safety of allowed) {
+        const endpoint = safety.endpoints ? 'https://dynamodb.dev.internal' : undefined;
+        const dynamoFx = new DynamoFx({ ...remoteConfig, endpoint }, 'users', { safety });
+
+        await dynamoFx.insert({ id: '1' });
+      }
+
+      expect(mockDocumentClient.put).to.have.been.calledThrice;
+    });
+
+    it('should refuse remote targets missing an allowlist', async () => {
+      const refusals = [
+        [{ endpoints: 'dynamodb.dev.internal' }, 'the AWS endpoint is not in safety.endpoints'],
+        [{ regions: 'us-east-1' }, 'region eu-west-1 is not in safety.regions'],
+        [{ regions: 'eu-west-1', accounts: ['210987654321'] }, 'account 123456789012 is not in safety.accounts']
+      ];
+      for (const [safety, reason] of refusals) {
+        const dynamoFx = new DynamoFx(remoteConfig, 'users', { safety });
+
+        await expectRefusal(() => dynamoFx.insert({ id: '1' }),
+          `Refusing to write to table users: ${reason}. Allow it with the safety option, or pass safety: { unsafe: true }`);
+      }
+    });
+
+    it('should refuse accounts it cannot determine', async () => {
+      mockBaseClient.config.credentials.resolves({ accessKeyId: 'key' });
+      const dynamoFx = new DynamoFx(remoteConfig, 'users', { safety: { accounts: '123456789012' } });
+
+      await expectRefusal(() => dynamoFx.insert({ id: '1' }), 'Refusing to write to table users: the credentials do ' +
+        'not name an account to check against safety.accounts. Allow it with the safety option, or pass safety: { unsafe: true }');
+    });
+
+    it('should restrict table names on every endpoint', async () => {
+      const localConfig = { endpoint: 'http://localhost:8000' };
+      const allowedFx = new DynamoFx(localConfig, 'test-users', { safety: { tables: /^test-/ } });
+      const refusedFx = new DynamoFx(localConfig, 'users', { safety: { tables: /^test-/ } });
+
+      await allowedFx.insert({ id: '1' });
+      await expectRefusal(() => refusedFx.insert({ id: '1' }), 'Refusing to write to table users: the table name ' +
+        'is not in safety.tables. Allow it with the safety option, or pass safety: { unsafe: true }');
+    });
+
+    it('should skip the checks when unsafe', async () => {
+      const dynamoFx = new DynamoFx(remoteConfig, 'users', { safety: { unsafe: true, tables: 'other' } });
+
+      await dynamoFx.insert({ id: '1' });
+
+      expect(mockDocumentClient.put).to.have.been.calledOnce;
+      expect(mockBaseClient.config.region).to.not.have.been.called;
+    });
+
+    it('should resolve the target only once', async () => {
+      const dynamoFx = new DynamoFx(remoteConfig, 'users', { safety: { regions: 'eu-west-1' } });
+
+      await dynamoFx.insert({ id: '1' });
+      await dynamoFx.remove({ id: '1' });
+
+      expect(mockBaseClient.config.region).to.have.been.calledOnce;
+    });
+  });
+
+  describe('fixture groups', () => {
+    const localConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+    let users;
+    let orders;
+    let inventory;
+
+    beforeEach(() => {
+      users = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' } });
+      orders = new DynamoFx(localConfig, 'orders', { keySchema: { hashKey: 'id' } });
+      inventory = new DynamoFx(localConfig, 'inventory', { keySchema: { hashKey: 'sku' } });
+    });
+
+    it('should order fixtures by their dependencies', () => {
+      const group = new DynamoFx.Group([orders, users, inventory], { dependencies: { orders: ['users', 'inventory'] } });
+
+      expect([...group.fixtures.keys()]).to.deep.equal(['users', 'inventory', 'orders']);
+      expect(group.fixture('orders')).to.equal(orders);
+    });
+
+    it('should provision a scenario in dependency order', async () => {
+      const group = new DynamoFx.Group([orders, users, inventory], { dependencies: { orders: ['users'] } });
+      const scenario = { orders: [{ id: 'o1', user: 'u1' }], users: [{ id: 'u1' }] };
+
+      const provisioned = await group.provision(scenario);
+
+      expect(provisioned).to.equal(scenario);
+      expect(mockDocumentClient.put.getCalls().map(call => call.args[0].TableName)).to.deep.equal(['users', 'orders']);
+      expect(users.data).to.deep.equal([{ id: 'u1' }]);
+      expect(orders.data).to.deep.equal([{ id: 'o1', user: 'u1' }]);
+      expect(inventory.data).to.deep.equal([]);
+    });
+
+    it('should provision a scenario in one transaction', async () => {
+      const group = new DynamoFx.Group([orders, users], { dependencies: { orders: ['users'] } });
+
+      await group.transactProvision({ orders: [{ id: 'o1' }], users: [{ id: 'u1' }] });
+
+      expect(mockDocumentClient.transactWrite).to.have.been.calledOnceWith({
+        TransactItems: [
+          { Put: { TableName: 'users', Item: { id: 'u1' } } },
+          { Put: { TableName: 'orders', Item: { id: 'o1' } } }
+        ]
+      });
+      expect(users.data).to.deep.equal([{ id: 'u1' }]);
+      expect(orders.data).to.deep.equal([{ id: 'o1' }]);
+    });
+
+    it('should provision one transaction through fixtures with their own clients on the same endpoint', async () => {
+      mockDynamoDBDocument.from.callsFake(() => ({ ...mockDocumentClient }));
+      const localConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+      const group = new DynamoFx.Group([
+        new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' } }),
+        new DynamoFx({ ...localConfig, endpoint: 'http://localhost:8000/' }, 'orders', { keySchema: { hashKey: 'id' } })
+      ]);
+
+      await group.transactProvision({ orders: [{ id: 'o1' }], users: [{ id: 'u1' }] });
+
+      expect(mockDocumentClient.transactWrite).to.have.been.calledOnce;
+    });
+
+    it('should refuse a transaction across endpoints', async () => {
+      mockDynamoDBDocument.from.callsFake(() => ({ ...mockDocumentClient }));
+      const group = new DynamoFx.Group([
+        new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } }),
+        new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8001' }, 'orders', { keySchema: { hashKey: 'id' } })
+      ]);
+
+      try {
+        await group.transactProvision({ orders: [{ id: 'o1' }], users: [{ id: 'u1' }] });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot write to tables users and orders in one transaction: users is on http://localhost:8000, orders is on http://localhost:8001');
+      }
+      expect(mockDocumentClient.transactWrite).to.not.have.been.called;
+    });
+
+    it('should refuse a transaction across regions', async () => {
+      mockDynamoDBDocument.from.callsFake(() => ({ ...mockDocumentClient }));
+      mockDynamoDBClient.callsFake(config => ({ ...mockBaseClient, config: { region: async () => config.region } }));
+      const group = new DynamoFx.Group([
+        new DynamoFx({ region: 'us-east-1', endpoint: 'http://localhost:8000' }, 'users', { keySchema: { hashKey: 'id' } }),
+        new DynamoFx({ region: 'eu-west-1', endpoint: 'http://localhost:8000' }, 'orders', { keySchema: { hashKey: 'id' } })
+      ]);
+
+      try {
+        await group.transactProvision({ orders: [{ id: 'o1' }], users: [{ id: 'u1' }] });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot write to tables users and orders in one transaction: users is on http://localhost:8000 in region us-east-1, orders is on http://localhost:8000 in region eu-west-1');
+      }
+    });
+
+    it('should reject scenarios for tables without a fixture', async () => {
+      const group = new DynamoFx.Group([users]);
+
+      try {
+        await group.provision({ users: [{ id: 'u1' }], payments: [{ id: 'p1' }] });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('No fixture for table payments in the fixture group');
+      }
+      expect(mockDocumentClient.put).to.not.have.been.called;
+    });
+
+    it('should reject two fixtures of one table', () => {
+      const otherUsers = new DynamoFx(localConfig, 'users', { keySchema: { hashKey: 'id' } });
+
+      expect(() => new DynamoFx.Group([users, orders, otherUsers]))
+        .to.throw('Table users has more than one fixture in the fixture group');
+    });
+
+    it('should reject unknown and circular dependencies', () => {
+      expect(() => new DynamoFx.Group([users, orders], { dependencies: { orders: ['payments'] } }))
+        .to.throw('Unknown table payments in the dependencies of the fixture group');
+      expect(() => new DynamoFx.Group([users, orders, inventory], { dependencies: { users: ['orders'], orders: ['inventory'], inventory: ['users'] } }))
+        .to.throw('Circular dependency between tables: users -> orders -> inventory -> users');
+    });
+
+    it('should clean up in reverse dependency order', async () => {
+      const group = new DynamoFx.Group([orders, users], { dependencies: { orders: ['users'] } });
+      await group.provision({ users: [{ id: 'u1' }], orders: [{ id: 'o1' }] });
+
+      await group.cleanup();
+
+      expect(mockDocumentClient.delete.getCalls().map(call => call.args[0].TableName)).to.deep.equal(['orders', 'users']);
+    });
+
+    it('should clean up every table even when one fails', async () => {
+      const group = new DynamoFx.Group([users, orders, inventory], { dependencies: { orders: ['users', 'inventory'] } });
+      sandbox.stub(orders, 'cleanup').rejects(new Error('throttled'));
+      sandbox.stub(inventory, 'cleanup').rejects(new Error('table not found'));
+      const usersCleanup = sandbox.stub(users, 'cleanup').resolves();
+
+      try {
+        await group.cleanup();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AggregateError);
+        expect(error.message).to.equal('Cleanup failed for 2 of 3 tables:\n  orders: throttled\n  inventory: table not found');
+        expect(error.errors).to.have.lengthOf(2);
+      }
+      expect(usersCleanup).to.have.been.calledOnce;
+    });
+  });
+
+  describe('local DynamoDB', () => {
+    let mockDynamoDBLocal;
+    let LocalFx;
+
+    const loadWith = (dynamoDBLocal) => proxyquire('../../index.js', {
+      '@aws-sdk/client-dynamodb': {
+        DynamoDBClient: mockDynamoDBClient,
+        DescribeTableCommand: mockCommand('DescribeTableCommand'),
+        ListTablesCommand: mockCommand('ListTablesCommand')
+      },
+      '@aws-sdk/lib-dynamodb': {
+        DynamoDBDocument: mockDynamoDBDocument,
+        NumberValue
+      },
+      'dynamodb-local': dynamoDBLocal
+    });
+
+    beforeEach(() => {
+      mockDynamoDBLocal = {
+        launch: sandbox.stub().callsFake(async () => new EventEmitter()),
+        stop: sandbox.stub().resolves()
+      };
+      mockBaseClient.send.resolves({ TableNames: [] });
+      LocalFx = loadWith(mockDynamoDBLocal);
+    });
+
+    it('should launch in memory on the given port and return a connection config', async () => {
+      const local = await LocalFx.startLocal({ port: 8123 });
+
+      expect(mockDynamoDBLocal.launch).to.have.been.calledWith(8123, null, [], false, true);
+      expect(local.port).to.equal(8123);
+      expect(local.endpoint).to.equal('http://localhost:8123');
+      expect(local.connConfig).to.deep.equal({
+        region: 'us-east-1',
+        endpoint: 'http://localhost:8123',
+        credentials: { accessKeyId: 'fakeKey', secretAccessKey: 'fakeSecret' }
+      });
+      expect(mockDynamoDBClient).to.have.been.calledWith(local.connConfig);
+      expect(mockBaseClient.send.firstCall.args[0].name).to.equal('ListTablesCommand');
+      expect(mockBaseClient.destroy).to.have.been.calledOnce;
+    });
+
+    it('should pick a free port when none is given', async () => {
+      const local = await LocalFx.startLocal();
+
+      expect(local.port).to.be.a('number').and.to.be.above(0);
+      expect(mockDynamoDBLocal.launch).to.have.been.calledWith(local.port);
+    });
+
+    it('should keep the data on disk when a dbPath is given', async () => {
+      const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dynamofx-')), 'data');
+
+      try {
+        await LocalFx.startLocal({ port: 8123, dbPath, args: ['-sharedDb'] });
+
+        expect(fs.existsSync(dbPath)).to.be.true;
+        expect(mockDynamoDBLocal.launch).to.have.been.calledWith(8123, dbPath, ['-sharedDb'], false, true);
+      } finally {
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+      }
+    });
+
+    it('should resolve a relative dbPath against the working directory', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamofx-'));
+      const dbPath = path.relative(process.cwd(), path.join(dir, 'data'));
+
+      try {
+        await LocalFx.startLocal({ port: 8123, dbPath });
+
+        expect(mockDynamoDBLocal.launch.firstCall.args[1]).to.equal(path.join(dir, 'data'));
+        expect(path.isAbsolute(mockDynamoDBLocal.launch.firstCall.args[1])).to.be.true;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should not change the arguments it is given', async () => {
+      const args = ['-sharedDb'];
+      mockDynamoDBLocal.launch.callsFake(async (port, dbPath, launchArgs) => {
+        launchArgs.push('-inMemory');
+        return new EventEmitter();
+      });
+
+      await LocalFx.startLocal({ port: 8123, args });
+
+      expect(args).to.deep.equal(['-sharedDb']);
+    });
+
+    it('should poll ListTables until DynamoDB Local answers', async () => {
+      mockBaseClient.send.onFirstCall().rejects(new Error('connect ECONNREFUSED'));
+      mockBaseClient.send.onSecondCall().rejects(new Error('socket hang up'));
+
+      await LocalFx.startLocal({ port: 8123, interval: 1 });
+
+      expect(mockBaseClient.send).to.have.been.calledThrice;
+    });
+
+    it('should stop DynamoDB Local and throw when it does not become ready in time', async () => {
+      mockBaseClient.send.rejects(new Error('connect ECONNREFUSED'));
+
+      try {
+        await LocalFx.startLocal({ port: 8123, timeout: 5, interval: 1 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('DynamoDB Local on port 8123 did not become ready within 5ms: connect ECONNREFUSED');
+      }
+      expect(mockDynamoDBLocal.stop).to.have.been.calledWith(8123);
+      expect(mockBaseClient.destroy).to.have.been.calledOnce;
+    });
+
+    it('should throw as soon as DynamoDB Local exits', async () => {
+      const child = new EventEmitter();
+      mockDynamoDBLocal.launch.resolves(child);
+      mockBaseClient.send.callsFake(async () => {
+        child.emit('exit', 1, null);
+        throw new Error('connect ECONNREFUSED');
+      });
+
+      try {
+        await LocalFx.startLocal({ port: 8123, timeout: 60000, interval: 1 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('DynamoDB Local on port 8123 exited with code 1');
+      }
+      expect(mockDynamoDBLocal.stop).to.have.been.calledWith(8123);
+      expect(child.listenerCount('exit')).to.equal(0);
+    });
+
+    it('should stop listening for the exit of DynamoDB Local once it is ready', async () => {
+      const child = new EventEmitter();
+      mockDynamoDBLocal.launch.resolves(child);
+
+      await LocalFx.startLocal({ port: 8123 });
+
+      expect(child.listenerCount('exit')).to.equal(0);
+    });
+
+    it('should stop DynamoDB Local on its port', async () => {
+      const local = await LocalFx.startLocal({ port: 8123 });
+
+      await local.stop();
+
+      expect(mockDynamoDBLocal.stop).to.have.been.calledOnceWith(8123);
+    });
+
+    it('should explain how to install dynamodb-local when it is missing', async () => {
+      try {
+        await loadWith(null).startLocal();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Starting DynamoDB Local requires the dynamodb-local package, install it with `npm install --save-dev dynamodb-local`');
+      }
+    });
+  });
+
+  describe('inheritance', () => {
+    it('should extend the fixture-interface class', () => {
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+      const tableName = 'test-table';
+
+      const instance = new DynamoFx(connConfig, tableName);
+
+      expect(instance).to.be.instanceof(Fixture);
+    });
+
+    it('should have access to parent class methods', () => {
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+      const tableName = 'test-table';
+
+      const instance = new DynamoFx(connConfig, tableName);
+
+      expect(instance.provision).to.exist;
+      expect(instance.addData).to.exist;
+      expect(instance.cleanup).to.exist;
+    });
+  });
+
+  describe('integration scenarios', () => {
+    let dynamoFx;
+
+    beforeEach(() => {
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
+      const tableName = 'integration-table';
+      dynamoFx = new DynamoFx(connConfig, tableName);
+    });
+
+    it('should handle insert and remove operations in sequence', async () => {
+      const item = { id: 'seq-123', name: 'sequence test' };
+      const key = { id: 'seq-123' };
+
+      mockDocumentClient.put.resolves({ ConsumedCapacity: {} });
+      mockDocumentClient.delete.resolves({ ConsumedCapacity: {} });
+
+      await dynamoFx.insert(item);
+      await dynamoFx.remove(key);
+
+      expect(mockDocumentClient.put).to.have.been.calledOnceWith({
+        TableName: 'integration-table',
+        Item: item,
+        ReturnValues: 'ALL_OLD'
+      });
+      expect(mockDocumentClient.delete).to.have.been.calledOnceWith({
+        TableName: 'integration-table',
+        Key: key
+      });
+    });
+
+    it('should maintain table name consistency across operations', async () => {
+      const item1 = { id: '1', data: 'first' };
+      const item2 = { id: '2', data: 'second' };
+      const key1 = { id: '1' };
+
+      await dynamoFx.insert(item1);
+      await dynamoFx.insert(item2);
+      await dynamoFx.remove(key1);
+
+      expect(mockDocumentClient.put.firstCall.args[0].TableName).to.equal('integration-table');
+      expect(mockDocumentClient.put.secondCall.args[0].TableName).to.equal('integration-table');
+      expect(mockDocumentClient.delete.firstCall.args[0].TableName).to.equal('integration-table');
+    });
+
+    it('should handle different table instances independently', async () => {
+      const connConfig = { region: 'us-west-2', endpoint: 'http://localhost:8000' };
+      const dynamoFx2 = new DynamoFx(connConfig, 'different-table');
+
+      const item = { id: 'multi-123' };
+
+      await dynamoFx.insert(item);
+      await dynamoFx2.insert(item);
 
       expect(mockDocumentClient.put).to.have.been.calledTwice;
       expect(mockDocumentClient.put.firstCall.args[0].TableName).to.equal('integration-table');
@@ -414,7 +3291,7 @@ describe('DynamoFx', () => {
     let dynamoFx;
 
     beforeEach(() => {
-      const connConfig = { region: 'us-east-1' };
+      const connConfig = { region: 'us-east-1', endpoint: 'http://localhost:8000' };
       const tableName = 'error-table';
       dynamoFx = new DynamoFx(connConfig, tableName);
     });